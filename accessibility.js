@@ -0,0 +1,96 @@
+import { describeEnd } from './project-duration.js';
+
+// Keyboard and screen-reader access to the chart: what a node is called, where the arrow
+// keys go from a node, and a table listing the same projects as the chart.
+
+// Accessible name of a node, e.g. "Data Platform, Jan 05, 2024 to Ongoing, category M"
+function nodeAriaLabel(node, dateFormat) {
+  const end = describeEnd(node, dateFormat);
+  return `${node.name}, ${dateFormat(node.startDate)} to ${end}, category ${node.category || "none"}`;
+}
+
+// The node the arrow key `key` moves to from `node`, or null if there's nowhere to go.
+// Left and right step to the previous or next project by start date; down follows the node's
+// first outgoing connection and up its first incoming one, in the order the links are stacked.
+function arrowKeyTarget(node, key, nodes, isVisible) {
+  if (key === "ArrowLeft" || key === "ArrowRight") {
+    const ordered = chronological(nodes.filter(isVisible));
+    const index = ordered.indexOf(node) + (key === "ArrowRight" ? 1 : -1);
+    return ordered[index] || null;
+  }
+
+  const [links, end, stackY] = key === "ArrowDown"
+    ? [node.sourceLinks, "target", "y0"]
+    : key === "ArrowUp" ? [node.targetLinks, "source", "y1"] : [[]];
+  const next = links
+    .filter(link => isVisible(link[end]))
+    .sort((a, b) => a[stackY] - b[stackY])[0];
+  return next ? next[end] : null;
+}
+
+// Nodes ordered by start date, then end date and name
+function chronological(nodes) {
+  return nodes.slice().sort((a, b) =>
+    a.startDate - b.startDate || a.endDate - b.endDate || a.name.localeCompare(b.name));
+}
+
+// Fill `container` with a table of the given nodes, one row per project in start-date order.
+// options: { dateFormat, caption, selectedId, onSelect(node) (called when a project's name
+// is activated) }.
+function renderDataTable(container, nodes, options) {
+  const { dateFormat, caption, selectedId, onSelect } = options;
+  const names = list => list.join(", ") || "None";
+
+  container.innerHTML = '';
+  const table = document.createElement('table');
+  table.className = 'data-table';
+
+  const captionElement = table.createCaption();
+  captionElement.textContent = caption;
+
+  const headings = ['Project', 'Start', 'End', 'Duration', 'Category', 'Phase', 'Skills', 'Team', 'Comes from', 'Leads to'];
+  const headerRow = table.createTHead().insertRow();
+  headings.forEach(heading => {
+    const th = document.createElement('th');
+    th.scope = 'col';
+    th.textContent = heading;
+    headerRow.appendChild(th);
+  });
+
+  const body = table.createTBody();
+  chronological(nodes).forEach(node => {
+    const row = body.insertRow();
+    row.dataset.id = node.id;
+    if (node.id === selectedId) row.classList.add('selected');
+
+    // The project name is a button that selects the project, as clicking its bar does
+    const nameCell = document.createElement('th');
+    nameCell.scope = 'row';
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'data-table-select';
+    button.textContent = node.name;
+    button.setAttribute('aria-pressed', node.id === selectedId ? 'true' : 'false');
+    button.addEventListener('click', () => onSelect(node));
+    nameCell.appendChild(button);
+    row.appendChild(nameCell);
+
+    [
+      dateFormat(node.startDate),
+      describeEnd(node, dateFormat),
+      node.duration,
+      node.category || '',
+      node.phase != null ? `${node.phase}` : '',
+      node.skills.join(', '),
+      node.assignees.map(({ name, allocation }) => `${name} (${allocation}%)`).join(', '),
+      names(node.targetLinks.map(link => link.source.name)),
+      names(node.sourceLinks.map(link => link.target.name))
+    ].forEach(text => {
+      row.insertCell().textContent = text;
+    });
+  });
+
+  container.appendChild(table);
+}
+
+export { nodeAriaLabel, arrowKeyTarget, renderDataTable };
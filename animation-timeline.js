@@ -0,0 +1,101 @@
+// Schedule for the "Animate Timeline" sequence.
+// Instead of chaining setTimeout calls, the whole animation is worked out up front as
+// start times, so any moment of it can be drawn on demand (for playback, scrubbing or recording).
+
+// Build the animation schedule for the visible nodes. Nodes are revealed one by one in
+// start-date order, `dwell` ms apart. A link draws over `duration` ms once both of its
+// ends have been revealed, so the animation never runs ahead of the playhead date.
+// Returns { order, nodeStarts, linkStarts, duration, endDate }: the reveal order with each
+// node's turn, when each node (by id) and link (by path id) starts, the total length in ms
+// and the last end date, which the playhead reaches when the animation finishes.
+function buildAnimationSchedule(nodes, isVisible, options = {}) {
+  const {
+    dwell = 250,
+    duration = 500
+  } = options;
+
+  const order = nodes
+    .filter(isVisible)
+    .sort((a, b) => a.startDate - b.startDate)
+    .map((node, i) => ({ node, time: i * dwell }));
+
+  const nodeStarts = new Map(order.map(({ node, time }) => [node.id, time]));
+  const linkStarts = new Map();
+
+  order.forEach(({ node }) => {
+    node.sourceLinks
+      .filter(link => nodeStarts.has(link.target.id))
+      .forEach(link => {
+        linkStarts.set(link.path, Math.max(nodeStarts.get(node.id), nodeStarts.get(link.target.id)));
+      });
+  });
+
+  const lastTurn = order.length > 0 ? order[order.length - 1].time : 0;
+  const lastLink = Math.max(0, ...linkStarts.values());
+
+  return {
+    order,
+    nodeStarts,
+    linkStarts,
+    duration: order.length > 0 ? Math.max(lastTurn, lastLink) + duration : 0,
+    endDate: order.length > 0 ? new Date(Math.max(...order.map(({ node }) => node.endDate))) : null
+  };
+}
+
+// How far along (0 to 1) something that starts at `start` and lasts `duration` ms is at `time`.
+// Returns null if it hasn't started yet.
+function scheduleProgress(start, time, duration) {
+  if (start === undefined || time < start) return null;
+  return duration > 0 ? Math.min(1, (time - start) / duration) : 1;
+}
+
+// The playhead date at a time in the animation. Between two nodes' turns the date moves
+// linearly from one start date to the next; after the last turn it runs on to the end date.
+function scheduleDateAt(schedule, time) {
+  const { order } = schedule;
+  if (order.length === 0) return null;
+
+  const points = schedulePoints(schedule);
+  if (time <= points[0].time) return points[0].date;
+
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    if (time <= b.time) {
+      const fraction = b.time > a.time ? (time - a.time) / (b.time - a.time) : 1;
+      return new Date(+a.date + fraction * (b.date - a.date));
+    }
+  }
+
+  return points[points.length - 1].date;
+}
+
+// The time in the animation at which the playhead reaches a date (the inverse of
+// scheduleDateAt). Dates before the first start map to just before the animation begins.
+function scheduleTimeAt(schedule, date) {
+  const { order } = schedule;
+  if (order.length === 0) return 0;
+
+  const points = schedulePoints(schedule);
+  if (date < points[0].date) return points[0].time - 1;
+
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    if (date < b.date) {
+      return a.time + (date - a.date) / (b.date - a.date) * (b.time - a.time);
+    }
+  }
+
+  return points[points.length - 1].time;
+}
+
+// Time and date pairs the playhead moves between: each node's turn, then the end
+function schedulePoints(schedule) {
+  const points = schedule.order.map(({ node, time }) => ({ time, date: node.startDate }));
+  const last = points[points.length - 1];
+  points.push({ time: Math.max(last.time, schedule.duration), date: new Date(Math.max(last.date, schedule.endDate)) });
+  return points;
+}
+
+export { buildAnimationSchedule, scheduleProgress, scheduleDateAt, scheduleTimeAt };
@@ -0,0 +1,365 @@
+// DOM for a chart instance's control panel and info panel.
+// Every element is looked up from the panel it belongs to rather than by a page-wide id,
+// so several charts can sit on one page without their controls getting mixed up.
+import { themes, palettes, colorByOptions } from './themes.js';
+
+// <option>s for a select, from [value, label] pairs
+function optionsHtml(entries) {
+  return entries.map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+}
+
+// Build the control panel inside `container`. It holds the filters, layout, table view, link
+// widths, colors and theme, lineage tracing, zoom, export, playback, recording and live reload.
+// idPrefix keeps the ids that tie labels to their inputs unique on the page.
+// Returns the panel element and the controls the chart wires up.
+function createControlPanel(container, idPrefix) {
+  const panel = document.createElement('div');
+  panel.className = 'filter-panel';
+  panel.innerHTML = `
+    <div class="filter-panel-header">
+      <h3>Filter Projects</h3>
+      <!-- Only shown on narrow screens, where the panel sits above the chart -->
+      <button type="button" class="filter-panel-toggle" aria-expanded="true">Hide</button>
+    </div>
+    <div class="filter-summary"></div>
+    <div class="facet">
+      <input type="search" class="filter-search" placeholder="Search name and description" aria-label="Search name and description">
+      <div class="facet-count search-count"></div>
+    </div>
+    <div class="facet">
+      <div class="facet-header">
+        <span>Skills</span>
+        <select class="skill-match" title="Match projects with any or all of the checked skills">
+          <option value="any">Any</option>
+          <option value="all">All</option>
+        </select>
+      </div>
+      <div class="skills-filter-container">
+        <!-- Skills checkboxes added here dynamically -->
+      </div>
+    </div>
+    <div class="facet">
+      <div class="facet-header">Category</div>
+      <div class="category-filter-container"></div>
+    </div>
+    <div class="facet">
+      <div class="facet-header">Phase</div>
+      <div class="phase-filter-container"></div>
+    </div>
+    <div class="facet people-facet">
+      <div class="facet-header">People</div>
+      <div class="people-filter-container"></div>
+    </div>
+    <div class="facet">
+      <div class="facet-header">Active between <span class="facet-count date-count"></span></div>
+      <input type="date" class="filter-from" aria-label="Active from">
+      <input type="date" class="filter-to" aria-label="Active to">
+    </div>
+    <div class="facet">
+      <label class="skill-checkbox"><input type="checkbox" class="filter-ongoing">Ongoing only <span class="facet-count ongoing-count"></span></label>
+    </div>
+    <div class="filter-buttons">
+      <button class="clear-filters">Clear Filters</button>
+    </div>
+    <div class="layout-mode-container">
+      <label for="${idPrefix}-layout-mode">Layout</label>
+      <select id="${idPrefix}-layout-mode" class="layout-mode">
+        <option value="stacked">One row per project</option>
+        <option value="category">Lanes by category</option>
+        <option value="skill">Lanes by primary skill</option>
+        <option value="phase">Lanes by phase</option>
+      </select>
+    </div>
+    <div class="table-view-container">
+      <label><input type="checkbox" class="table-view"> Show as a table</label>
+    </div>
+    <div class="table-view-container">
+      <label title="Find the longest chain of connected projects and check each connection's handoff"><input type="checkbox" class="schedule-analysis"> Critical path analysis</label>
+    </div>
+    <div class="layout-mode-container">
+      <label for="${idPrefix}-skill-view">Skill analytics</label>
+      <select id="${idPrefix}-skill-view" class="skill-view-select" title="Charts of every project's skills under the timeline; click a shape to filter to its projects">
+        <option value="none">Off</option>
+        <option value="timeline">Skills over time</option>
+        <option value="pairs">Skills used together</option>
+        <option value="flow">Skill flow to categories</option>
+      </select>
+    </div>
+    <div class="animation-options">
+      <label for="${idPrefix}-as-of">As of</label>
+      <input type="date" id="${idPrefix}-as-of" class="as-of-date" title="Show the timeline as it stood on this date; leave empty for today">
+    </div>
+    <div class="layout-mode-container">
+      <label for="${idPrefix}-duration-unit">Duration</label>
+      <select id="${idPrefix}-duration-unit" class="duration-unit">
+        <option value="weeks">Weeks</option>
+        <option value="months">Months</option>
+        <option value="businessDays">Business days</option>
+      </select>
+    </div>
+    <div class="layout-mode-container">
+      <label for="${idPrefix}-link-scale">Link width</label>
+      <select id="${idPrefix}-link-scale" class="link-scale">
+        <option value="linear">Linear</option>
+        <option value="sqrt">Square root</option>
+        <option value="log">Logarithmic</option>
+      </select>
+    </div>
+    <div class="animation-options">
+      <label for="${idPrefix}-link-min">Min / max (px)</label>
+      <input type="number" id="${idPrefix}-link-min" class="link-min" value="1" min="0.5" step="0.5" aria-label="Thinnest link (px)">
+      <input type="number" class="link-max" value="12" min="1" step="1" aria-label="Thickest link (px)">
+    </div>
+    <div class="layout-mode-container">
+      <label for="${idPrefix}-node-sizing">Node height</label>
+      <select id="${idPrefix}-node-sizing" class="node-sizing">
+        <option value="fixed">Same for every project</option>
+        <option value="flow">Scaled to its connections</option>
+      </select>
+    </div>
+    <div class="link-legend"></div>
+    <div class="layout-mode-container">
+      <label for="${idPrefix}-color-by">Color by</label>
+      <select id="${idPrefix}-color-by" class="color-by">
+        ${optionsHtml(colorByOptions)}
+      </select>
+    </div>
+    <div class="layout-mode-container">
+      <label for="${idPrefix}-palette">Palette</label>
+      <select id="${idPrefix}-palette" class="color-palette">
+        ${optionsHtml(Object.entries(palettes).map(([name, palette]) => [name, palette.label]))}
+      </select>
+    </div>
+    <div class="color-legend"></div>
+    <div class="layout-mode-container">
+      <label for="${idPrefix}-theme">Theme</label>
+      <select id="${idPrefix}-theme" class="color-theme">
+        ${optionsHtml(Object.entries(themes).map(([name, theme]) => [name, theme.label]))}
+      </select>
+    </div>
+    <div class="layout-mode-container">
+      <label for="${idPrefix}-lineage-direction">Trace connections</label>
+      <select id="${idPrefix}-lineage-direction" class="lineage-direction">
+        <option value="downstream">Downstream</option>
+        <option value="upstream">Upstream</option>
+        <option value="both">Upstream and downstream</option>
+      </select>
+    </div>
+    <div class="animation-options">
+      <label for="${idPrefix}-lineage-depth">Depth (links)</label>
+      <input type="number" id="${idPrefix}-lineage-depth" class="lineage-depth" min="0" step="1" placeholder="All">
+    </div>
+    <div class="zoom-container">
+      <button class="reset-zoom">Reset Zoom</button>
+      <p class="hint">Drag the chart to pan, Ctrl/&#8984; + scroll or pinch to zoom, or brush the strip under the axis to pick a date window.</p>
+    </div>
+    <div class="export-container">
+      <label for="${idPrefix}-export-format">Export</label>
+      <div class="export-options">
+        <select id="${idPrefix}-export-format" class="export-format">
+          <option value="svg">SVG</option>
+          <option value="png">PNG</option>
+          <option value="pdf">PDF</option>
+        </select>
+        <select class="export-scale" title="PNG and PDF resolution">
+          <option value="1">1x</option>
+          <option value="2" selected>2x</option>
+          <option value="3">3x</option>
+        </select>
+      </div>
+      <button class="export-view">Export View</button>
+    </div>
+    <div class="player-container">
+      <button class="animate-timeline">Animate Timeline</button>
+      <div class="player-controls">
+        <button class="player-step-back" title="Previous project">&#9664;&#9664;</button>
+        <button class="player-step-forward" title="Next project">&#9654;&#9654;</button>
+        <select class="player-speed" title="Playback speed">
+          <option value="0.25">0.25x</option>
+          <option value="0.5">0.5x</option>
+          <option value="1" selected>1x</option>
+          <option value="2">2x</option>
+          <option value="4">4x</option>
+        </select>
+      </div>
+      <input type="range" class="player-scrubber" min="0" max="1000" value="0" step="1" aria-label="Animation position">
+      <div class="player-date"></div>
+    </div>
+    <div class="animation-options">
+      <label for="${idPrefix}-animation-dwell">Per project (ms)</label>
+      <input type="number" id="${idPrefix}-animation-dwell" class="animation-dwell" value="250" min="50" step="50">
+    </div>
+    <div class="export-container">
+      <label for="${idPrefix}-record-format">Record Animation</label>
+      <div class="export-options">
+        <select id="${idPrefix}-record-format" class="record-format">
+          <option value="webm">WebM</option>
+          <option value="gif">GIF</option>
+        </select>
+        <select class="record-fps" title="Frames per second">
+          <option value="10">10 fps</option>
+          <option value="15">15 fps</option>
+          <option value="30" selected>30 fps</option>
+          <option value="60">60 fps</option>
+        </select>
+      </div>
+      <div class="export-options">
+        <select class="record-width" title="Output width">
+          <option value="">Chart size</option>
+          <option value="960">960 px wide</option>
+          <option value="1280" selected>1280 px wide</option>
+          <option value="1920">1920 px wide</option>
+        </select>
+      </div>
+      <button class="record-animation">Record</button>
+    </div>
+    <div class="live-reload-container">
+      <label><input type="checkbox" class="live-reload"> Live reload</label>
+      <p class="hint">Re-read the data every few seconds and animate in what changed.</p>
+    </div>
+    <div class="export-container editor-container">
+      <label><input type="checkbox" class="edit-mode"> Edit mode</label>
+      <p class="hint">Double-click the project details to edit them, drag a bar's ends to change its dates, or drag from one bar to another to connect them.</p>
+      <div class="export-options">
+        <button type="button" class="edit-undo" disabled title="Undo (Ctrl+Z)">Undo</button>
+        <button type="button" class="edit-redo" disabled title="Redo (Ctrl+Shift+Z)">Redo</button>
+      </div>
+      <div class="export-options">
+        <button type="button" class="edit-download">Download JSON</button>
+        <button type="button" class="edit-save" hidden>Save</button>
+      </div>
+      <div class="edit-status" role="status"></div>
+    </div>
+    <p class="hint">Drop a JSON file, projects and connections CSVs or a spreadsheet on the chart to load other data.</p>`;
+  container.appendChild(panel);
+
+  const find = className => panel.querySelector(`.${className}`);
+
+  return {
+    panel,
+    filterToggle: find('filter-panel-toggle'),
+    filterSummary: find('filter-summary'),
+    searchInput: find('filter-search'),
+    searchCount: find('search-count'),
+    skillMatchSelect: find('skill-match'),
+    skillsContainer: find('skills-filter-container'),
+    categoriesContainer: find('category-filter-container'),
+    phasesContainer: find('phase-filter-container'),
+    peopleFacet: find('people-facet'),
+    peopleContainer: find('people-filter-container'),
+    fromInput: find('filter-from'),
+    toInput: find('filter-to'),
+    dateCount: find('date-count'),
+    ongoingToggle: find('filter-ongoing'),
+    ongoingCount: find('ongoing-count'),
+    clearButton: find('clear-filters'),
+    layoutSelect: find('layout-mode'),
+    tableToggle: find('table-view'),
+    scheduleToggle: find('schedule-analysis'),
+    skillViewSelect: find('skill-view-select'),
+    durationUnitSelect: find('duration-unit'),
+    asOfInput: find('as-of-date'),
+    linkScaleSelect: find('link-scale'),
+    linkMinInput: find('link-min'),
+    linkMaxInput: find('link-max'),
+    linkLegend: find('link-legend'),
+    colorBySelect: find('color-by'),
+    paletteSelect: find('color-palette'),
+    colorLegend: find('color-legend'),
+    themeSelect: find('color-theme'),
+    nodeSizingSelect: find('node-sizing'),
+    lineageDirection: find('lineage-direction'),
+    lineageDepth: find('lineage-depth'),
+    resetZoomButton: find('reset-zoom'),
+    exportFormat: find('export-format'),
+    exportScale: find('export-scale'),
+    exportButton: find('export-view'),
+    animateButton: find('animate-timeline'),
+    stepBackButton: find('player-step-back'),
+    stepForwardButton: find('player-step-forward'),
+    speedSelect: find('player-speed'),
+    scrubber: find('player-scrubber'),
+    dateReadout: find('player-date'),
+    dwellInput: find('animation-dwell'),
+    recordFormat: find('record-format'),
+    recordFps: find('record-fps'),
+    recordWidth: find('record-width'),
+    recordButton: find('record-animation'),
+    liveReloadToggle: find('live-reload'),
+    editToggle: find('edit-mode'),
+    undoButton: find('edit-undo'),
+    redoButton: find('edit-redo'),
+    downloadButton: find('edit-download'),
+    saveButton: find('edit-save'),
+    editStatus: find('edit-status')
+  };
+}
+
+// Build the (initially hidden) panel that shows the selected project's details, and a
+// visually hidden live region that reads the details out to screen readers.
+// Returns the panel element, the announcer and the fields showInfoPanel fills in.
+function createInfoPanel(container) {
+  const panel = document.createElement('div');
+  panel.className = 'info-panel';
+  panel.setAttribute('role', 'region');
+  panel.setAttribute('aria-label', 'Project details');
+
+  const rows = [
+    ['id', 'ID'],
+    ['start-date', 'Start Date'],
+    ['end-date', 'End Date'],
+    ['duration', 'Duration'],
+    ['category', 'Category'],
+    ['phase', 'Phases'],
+    ['schedule', 'Schedule'],
+    ['skills', 'Skills'],
+    ['description', 'Description'],
+    ['team', 'Team'],
+    ['connections', 'Connections'],
+    ['lineage', 'Lineage']
+  ];
+
+  panel.innerHTML = `
+    <div class="panel-header">
+      <h3><span class="node-color-indicator"></span> <span class="node-name"></span></h3>
+      <button type="button" class="close-button" aria-label="Close project details">&times;</button>
+    </div>
+    <form class="project-edit-form" hidden></form>
+    ${rows.map(([field, label]) => `
+    <div class="info-row">
+      <div class="info-label">${label}:</div>
+      <div class="info-value node-${field}"></div>
+    </div>`).join('')}`;
+  container.appendChild(panel);
+
+  const announcer = document.createElement('div');
+  announcer.className = 'sr-only';
+  announcer.setAttribute('role', 'status');
+  announcer.setAttribute('aria-live', 'polite');
+  container.appendChild(announcer);
+
+  const find = className => panel.querySelector(`.${className}`);
+
+  return {
+    panel,
+    announcer,
+    colorIndicator: find('node-color-indicator'),
+    closeButton: find('close-button'),
+    editForm: find('project-edit-form'),
+    name: find('node-name'),
+    id: find('node-id'),
+    startDate: find('node-start-date'),
+    endDate: find('node-end-date'),
+    duration: find('node-duration'),
+    category: find('node-category'),
+    phase: find('node-phase'),
+    schedule: find('node-schedule'),
+    skills: find('node-skills'),
+    description: find('node-description'),
+    team: find('node-team'),
+    connections: find('node-connections'),
+    lineage: find('node-lineage')
+  };
+}
+
+export { createControlPanel, createInfoPanel };
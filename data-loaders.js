@@ -0,0 +1,302 @@
+// Loaders that turn project data from JSON, CSV/TSV or spreadsheet files into the
+// { projects, connections } structure processData expects.
+// Spreadsheet columns are matched loosely ("Start Date", "start_date" and "startDate" are the
+// same column); values are only tidied up here, and checking them is left to validateProjectData.
+
+// Spreadsheet column names (lower case, letters and digits only) for each project field
+const projectColumns = {
+  id: ["id", "projectid"],
+  name: ["name", "projectname", "project", "title"],
+  startDate: ["startdate", "start"],
+  endDate: ["enddate", "end"],
+  plannedEndDate: ["plannedenddate", "plannedend", "duedate", "targetdate"],
+  duration: ["duration"],
+  category: ["category", "size"],
+  phase: ["phase", "phases"],
+  description: ["description", "notes"],
+  skills: ["skills", "skill"],
+  assignees: ["assignees", "team", "people", "staff"],
+  color: ["color", "colour"]
+};
+
+// Spreadsheet column names for each connection field
+const connectionColumns = {
+  source: ["source", "from", "sourceid"],
+  target: ["target", "to", "targetid"],
+  value: ["value", "weight", "amount"],
+  type: ["type", "label", "kind"]
+};
+
+const requiredProjectColumns = ["id", "name", "startDate"];
+const requiredConnectionColumns = ["source", "target", "value"];
+
+// Skills are listed in a single cell, separated by semicolons, pipes or commas
+const skillDelimiter = /[;|,]/;
+
+// Assignees are listed the same way, each as "person" or "person:allocation", e.g. "ana:50; ben"
+const assigneeDelimiter = /[;|,]/;
+
+// Date formats spreadsheets commonly export, tried in order and rewritten as YYYY-MM-DD
+const spreadsheetDateFormats = ["%Y-%m-%d", "%m/%d/%Y", "%Y/%m/%d", "%d %b %Y", "%b %d, %Y"];
+
+// Lower-case a column name and drop everything but letters and digits
+function normalizeColumnName(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+// Work out which column holds each field. Throws if a required column is missing,
+// listing the columns that were found so the header row is easy to fix.
+function matchColumns(headers, columns, required, sourceName) {
+  const byName = new Map(headers.map(header => [normalizeColumnName(header), header]));
+  const matched = {};
+
+  Object.entries(columns).forEach(([field, names]) => {
+    const name = names.find(candidate => byName.has(candidate));
+    if (name) matched[field] = byName.get(name);
+  });
+
+  const missing = required.filter(field => !matched[field]);
+  if (missing.length > 0) {
+    throw new Error(`${sourceName} is missing required column${missing.length > 1 ? "s" : ""}: ${missing.join(", ")}` +
+      ` (found: ${headers.filter(header => header !== "").join(", ") || "no columns"})`);
+  }
+
+  return matched;
+}
+
+// Rewrite a spreadsheet date as YYYY-MM-DD. Dates in no known format, or that don't exist
+// (d3.timeParse rolls "2/30/2024" over to March), are passed through unchanged so the
+// data-quality report can point them out.
+function normalizeDate(d3, value) {
+  const unpad = text => text.replace(/\b0+(\d)/g, "$1");
+
+  for (const format of spreadsheetDateFormats) {
+    const date = d3.timeParse(format)(value);
+    if (date && unpad(d3.timeFormat(format)(date)) === unpad(value)) {
+      return d3.timeFormat("%Y-%m-%d")(date);
+    }
+  }
+  return value;
+}
+
+// A number if the cell holds one, otherwise the text as it was
+function numberOrText(value) {
+  const number = Number(value);
+  return value !== "" && isFinite(number) ? number : value;
+}
+
+// Build project records from spreadsheet rows (objects keyed by column name).
+// Empty cells are left out, so an empty end date means the project is ongoing.
+function normalizeProjectRows(d3, rows, sourceName = "Projects table") {
+  const columns = matchColumns(rows.columns || Object.keys(rows[0] || {}), projectColumns, requiredProjectColumns, sourceName);
+
+  return rows.map(row => {
+    const cell = field => columns[field] ? String(row[columns[field]] || "").trim() : "";
+    const project = {};
+
+    ["id", "name", "duration", "category", "description", "color"].forEach(field => {
+      if (cell(field) !== "") project[field] = cell(field);
+    });
+    ["startDate", "endDate", "plannedEndDate"].forEach(field => {
+      if (cell(field) !== "") project[field] = normalizeDate(d3, cell(field));
+    });
+    if (cell("phase") !== "") {
+      project.phase = numberOrText(cell("phase"));
+    }
+    project.skills = cell("skills").split(skillDelimiter)
+      .map(skill => skill.trim())
+      .filter(skill => skill !== "");
+    if (cell("assignees") !== "") {
+      project.assignees = cell("assignees").split(assigneeDelimiter)
+        .map(entry => entry.split(":").map(part => part.trim()))
+        .filter(([person]) => person !== "")
+        .map(([person, allocation]) => allocation ? { person, allocation: numberOrText(allocation.replace(/%$/, "")) } : { person });
+    }
+
+    return project;
+  });
+}
+
+// Build connection records from spreadsheet rows
+function normalizeConnectionRows(rows, sourceName = "Connections table") {
+  const columns = matchColumns(rows.columns || Object.keys(rows[0] || {}), connectionColumns, requiredConnectionColumns, sourceName);
+
+  return rows.map(row => {
+    const cell = field => columns[field] ? String(row[columns[field]] || "").trim() : "";
+    const connection = {
+      source: cell("source"),
+      target: cell("target"),
+      value: numberOrText(cell("value"))
+    };
+    if (cell("type") !== "") connection.type = cell("type");
+    return connection;
+  });
+}
+
+// Parse CSV or TSV text into rows. Tab-separated text (as copied out of a spreadsheet)
+// is recognised from its header line.
+function parseDelimitedText(d3, text) {
+  const header = text.slice(0, text.indexOf("\n") === -1 ? text.length : text.indexOf("\n"));
+  return header.includes("\t") && !header.includes(",")
+    ? d3.tsvParse(text)
+    : d3.csvParse(text);
+}
+
+// Parse a projects CSV and an optional connections CSV into { projects, connections }
+function parseProjectCsv(d3, projectsText, connectionsText = "") {
+  return {
+    projects: normalizeProjectRows(d3, parseDelimitedText(d3, projectsText), "Projects CSV"),
+    connections: connectionsText.trim() !== ""
+      ? normalizeConnectionRows(parseDelimitedText(d3, connectionsText), "Connections CSV")
+      : []
+  };
+}
+
+// True if spreadsheet rows look like connections (they have source and target columns)
+function isConnectionTable(rows) {
+  const names = new Set((rows.columns || Object.keys(rows[0] || {})).map(normalizeColumnName));
+  return ["source", "target"].every(field => connectionColumns[field].some(name => names.has(name)));
+}
+
+// Read the sheets of an Excel or OpenDocument workbook as rows, with dates as YYYY-MM-DD
+async function readWorkbook(buffer) {
+  // Load SheetJS only when a workbook is actually opened
+  const XLSX = await import('https://cdn.jsdelivr.net/npm/xlsx@0.18/+esm');
+  const workbook = XLSX.read(buffer, { type: 'array', cellDates: true });
+
+  return workbook.SheetNames.map(sheetName => {
+    const sheet = workbook.Sheets[sheetName];
+    const rows = XLSX.utils.sheet_to_json(sheet, { raw: false, defval: "", dateNF: "yyyy-mm-dd" });
+    rows.columns = (XLSX.utils.sheet_to_json(sheet, { header: 1 })[0] || []).map(String);
+    return { name: sheetName, rows };
+  });
+}
+
+// Turn dropped or picked files into { projects, connections }. Accepts a project JSON file,
+// a projects CSV/TSV with an optional connections CSV/TSV (told apart by their columns), or
+// a workbook with a projects sheet and an optional connections sheet.
+async function loadProjectFiles(d3, files) {
+  const tables = [];
+
+  for (const file of Array.from(files)) {
+    const extension = file.name.split(".").pop().toLowerCase();
+
+    if (extension === "json") {
+      const data = JSON.parse(await file.text());
+      if (!data || !Array.isArray(data.projects)) {
+        throw new Error(`${file.name} has no "projects" array`);
+      }
+      return data;
+    }
+
+    if (["xlsx", "xls", "ods"].includes(extension)) {
+      const sheets = await readWorkbook(await file.arrayBuffer());
+      sheets
+        .filter(sheet => sheet.rows.columns.length > 0)
+        .forEach(sheet => tables.push({ name: `${file.name} (sheet "${sheet.name}")`, rows: sheet.rows }));
+    } else if (["csv", "tsv", "txt"].includes(extension)) {
+      tables.push({ name: file.name, rows: parseDelimitedText(d3, await file.text()) });
+    } else {
+      throw new Error(`${file.name} isn't a JSON, CSV, TSV or spreadsheet file`);
+    }
+  }
+
+  const connectionTables = tables.filter(table => isConnectionTable(table.rows));
+  const projectTables = tables.filter(table => !isConnectionTable(table.rows));
+
+  if (projectTables.length === 0) {
+    throw new Error("No projects table found: include a CSV or sheet with id, name and startDate columns");
+  }
+
+  return {
+    projects: projectTables.flatMap(table => normalizeProjectRows(d3, table.rows, table.name)),
+    connections: connectionTables.flatMap(table => normalizeConnectionRows(table.rows, table.name))
+  };
+}
+
+// Load project data from a URL: JSON, or a projects CSV/TSV with an optional
+// connections CSV/TSV at a second URL
+async function loadProjectData(url = 'project-data.json', options = {}) {
+  // Add a timestamp to prevent caching
+  const fetchText = async fileUrl => {
+    const timestamp = new Date().getTime();
+    const response = await fetch(`${fileUrl}${fileUrl.includes('?') ? '&' : '?'}t=${timestamp}`);
+    if (!response.ok) {
+      throw new Error(`Error loading project data from ${fileUrl}: ${response.statusText}`);
+    }
+    return response.text();
+  };
+
+  const text = await fetchText(url);
+  if (!/\.(csv|tsv|txt)$/i.test(url.split('?')[0])) {
+    return JSON.parse(text);
+  }
+
+  const d3 = options.d3 || await import('https://cdn.jsdelivr.net/npm/d3@6/+esm');
+  return parseProjectCsv(d3, text, options.connectionsUrl ? await fetchText(options.connectionsUrl) : "");
+}
+
+// Poll a data source for changes. `load` returns a promise of { projects, connections }; when
+// it resolves to something different from the last load (or from options.initial), onChange is
+// called with the new data. A failed load, such as a half-saved file, goes to options.onError
+// and polling carries on. options: { interval (ms, default 2000), initial, onError }.
+// Returns a function that stops polling.
+function watchProjectData(load, onChange, options = {}) {
+  const interval = options.interval || 2000;
+  const onError = options.onError || (error => console.error('Error reloading project data:', error));
+  let last = options.initial !== undefined ? JSON.stringify(options.initial) : null;
+  let stopped = false;
+  let timeout = null;
+
+  const poll = async () => {
+    try {
+      const data = await load();
+      const serialized = JSON.stringify(data);
+      if (!stopped && serialized !== last) {
+        last = serialized;
+        onChange(data);
+      }
+    } catch (error) {
+      if (!stopped) onError(error);
+    }
+    if (!stopped) timeout = setTimeout(poll, interval);
+  };
+
+  timeout = setTimeout(poll, interval);
+
+  return () => {
+    stopped = true;
+    clearTimeout(timeout);
+  };
+}
+
+// Read the ?data= (and optional &connections=) query parameters of a page URL.
+// Returns { url, connectionsUrl } or null when there is no ?data= parameter. Only
+// URLs on the page's own origin are accepted.
+function dataUrlFromQuery(location = window.location) {
+  const params = new URLSearchParams(location.search);
+  if (!params.get('data')) return null;
+
+  const resolve = value => {
+    const resolved = new URL(value, location.href);
+    if (resolved.origin !== location.origin) {
+      throw new Error(`The data URL ${value} isn't on this site (${location.origin})`);
+    }
+    return resolved.href;
+  };
+
+  return {
+    url: resolve(params.get('data')),
+    connectionsUrl: params.get('connections') ? resolve(params.get('connections')) : null
+  };
+}
+
+export {
+  loadProjectData,
+  parseProjectCsv,
+  normalizeProjectRows,
+  normalizeConnectionRows,
+  loadProjectFiles,
+  watchProjectData,
+  dataUrlFromQuery
+};
@@ -0,0 +1,317 @@
+import { checkDeclaredDuration } from './project-duration.js';
+import { parseAllocation } from './team-load.js';
+
+// Validation for project data before it reaches processData.
+// Problems are collected into a report instead of thrown, so the chart can still
+// draw every record that is usable and show the rest in an in-page report.
+
+// Fields every project must have
+const requiredProjectFields = ["id", "name", "startDate"];
+
+// Check project data and return { errors, warnings, data } where data only holds
+// the projects and connections that are safe to draw
+function validateProjectData(projectData, d3) {
+  const errors = [];
+  const warnings = [];
+
+  // Record a problem along with the offending record and where it was found
+  const report = (list, type, message, location, record) => {
+    list.push({ type, message, location, record });
+  };
+
+  if (!projectData || !Array.isArray(projectData.projects)) {
+    report(errors, "missing-projects", 'The data has no "projects" array', "projects", null);
+    return { errors, warnings, data: { projects: [], connections: [] } };
+  }
+
+  // Parse a YYYY-MM-DD string strictly: d3.timeParse accepts "2024-02-30" and rolls it
+  // over to March, so the parsed date is formatted back and compared to the input
+  const parseDate = d3.timeParse("%Y-%m-%d");
+  const formatDate = d3.timeFormat("%Y-%m-%d");
+  const parseStrictDate = value => {
+    if (typeof value !== "string") return null;
+    const date = parseDate(value);
+    return date && formatDate(date) === value ? date : null;
+  };
+
+  // People, an optional list of everyone who can be assigned to projects
+  let knownPeople = null;
+  if (projectData.people !== undefined) {
+    if (!Array.isArray(projectData.people)) {
+      report(warnings, "invalid-person", 'The "people" field is not an array', "people", projectData.people);
+    } else {
+      knownPeople = new Set();
+      projectData.people.forEach((person, i) => {
+        if (!person || typeof person !== "object" || person.id == null || String(person.id).trim() === "") {
+          report(warnings, "invalid-person", "Person needs an id", `people[${i}]`, person);
+        } else if (knownPeople.has(String(person.id))) {
+          report(warnings, "invalid-person", `Duplicate person id "${person.id}"`, `people[${i}]`, person);
+        } else {
+          knownPeople.add(String(person.id));
+        }
+      });
+    }
+  }
+
+  // Projects
+  const projectsById = new Map();
+  const projects = [];
+
+  projectData.projects.forEach((project, i) => {
+    const location = `projects[${i}]`;
+
+    if (!project || typeof project !== "object") {
+      report(errors, "invalid-record", "Project is not an object", location, project);
+      return;
+    }
+
+    const missing = requiredProjectFields.filter(field =>
+      project[field] === undefined || project[field] === null || String(project[field]).trim() === "");
+    if (missing.length > 0) {
+      report(errors, "missing-field", `Missing required field${missing.length > 1 ? "s" : ""}: ${missing.join(", ")}`, location, project);
+      return;
+    }
+
+    const startDate = parseStrictDate(project.startDate);
+    if (!startDate) {
+      report(errors, "invalid-date", `startDate "${project.startDate}" is not a valid YYYY-MM-DD date`, location, project);
+      return;
+    }
+
+    // A missing or empty endDate means the project is ongoing
+    let endDate = null;
+    if (project.endDate) {
+      endDate = parseStrictDate(project.endDate);
+      if (!endDate) {
+        report(errors, "invalid-date", `endDate "${project.endDate}" is not a valid YYYY-MM-DD date`, location, project);
+        return;
+      }
+      if (endDate < startDate) {
+        report(errors, "end-before-start", `endDate ${project.endDate} is before startDate ${project.startDate}`, location, project);
+        return;
+      }
+    }
+
+    // A planned end only matters while the project is ongoing, so a bad one is just a warning
+    if (project.plannedEndDate) {
+      const plannedEndDate = parseStrictDate(project.plannedEndDate);
+      if (!plannedEndDate) {
+        report(warnings, "invalid-date", `plannedEndDate "${project.plannedEndDate}" is not a valid YYYY-MM-DD date`, location, project);
+      } else if (plannedEndDate < startDate) {
+        report(warnings, "end-before-start", `plannedEndDate ${project.plannedEndDate} is before startDate ${project.startDate}`, location, project);
+      }
+    }
+
+    if (projectsById.has(project.id)) {
+      report(errors, "duplicate-id", `Duplicate project id "${project.id}" (first used at ${projectsById.get(project.id).location})`, location, project);
+      return;
+    }
+
+    // The typed duration is informational only, so a mismatch is just a warning
+    const durationProblem = checkDeclaredDuration(d3, project.duration, startDate, endDate || new Date(), !!endDate);
+    if (durationProblem) {
+      report(warnings, "duration-mismatch", `Duration ${durationProblem}`, location, project);
+    }
+
+    // Phases and milestones are optional extras, so a bad entry is only left out of the bar
+    const outsideProject = date => date < startDate || (endDate && date > endDate);
+    [["phases", phase => [phase.start, phase.end]], ["milestones", milestone => [milestone.date]]]
+      .forEach(([field, datesOf]) => {
+        if (project[field] === undefined) return;
+        if (!Array.isArray(project[field])) {
+          report(warnings, "invalid-schedule", `"${field}" is not an array`, location, project);
+          return;
+        }
+        project[field].forEach((entry, j) => {
+          const entryLocation = `${location}.${field}[${j}]`;
+          const [start, end] = entry && typeof entry === "object" ? datesOf(entry) : [];
+          const dates = [start, end].filter(value => value).map(parseStrictDate);
+
+          if (!start || dates.includes(null)) {
+            report(warnings, "invalid-schedule", `${field === "phases" ? "Phase" : "Milestone"} needs valid YYYY-MM-DD ${field === "phases" ? "start (and optional end) dates" : "date"}`, entryLocation, entry);
+          } else if (dates.length === 2 && dates[1] < dates[0]) {
+            report(warnings, "invalid-schedule", `Phase "${entry.name}" ends ${end}, before it starts ${start}`, entryLocation, entry);
+          } else if (dates.some(outsideProject)) {
+            report(warnings, "schedule-outside-project", `${field === "phases" ? "Phase" : "Milestone"} "${entry.name}" falls outside the project's dates`, entryLocation, entry);
+          }
+        });
+      });
+
+    // Assignees are optional too; entries without a person or with a bad allocation are
+    // left out of (or defaulted in) the team load
+    if (project.assignees !== undefined) {
+      if (!Array.isArray(project.assignees)) {
+        report(warnings, "invalid-assignee", '"assignees" is not an array', location, project);
+      } else {
+        project.assignees.forEach((entry, j) => {
+          const entryLocation = `${location}.assignees[${j}]`;
+          const person = typeof entry === "string" ? entry : entry && entry.person;
+          if (person == null || String(person).trim() === "") {
+            report(warnings, "invalid-assignee", "Assignee needs a person id", entryLocation, entry);
+          } else if (entry.allocation !== undefined && parseAllocation(entry.allocation) === null) {
+            report(warnings, "invalid-assignee", `Allocation "${entry.allocation}" for "${person}" is not a positive percentage (using 100%)`, entryLocation, entry);
+          } else if (knownPeople && !knownPeople.has(String(person))) {
+            report(warnings, "unknown-person", `Assignee "${person}" is not in the people list`, entryLocation, entry);
+          }
+        });
+      }
+    }
+
+    // A color that isn't a CSS color is drawn gray when coloring by the color field
+    if (project.color !== undefined && !d3.color(String(project.color))) {
+      report(warnings, "invalid-color", `"${project.color}" is not a color`, location, project);
+    }
+
+    projectsById.set(project.id, { project, location, startDate, endDate });
+    projects.push(project);
+  });
+
+  // Connections
+  const connections = [];
+  const seenConnections = new Set();
+  const rawConnections = projectData.connections || [];
+
+  if (!Array.isArray(rawConnections)) {
+    report(errors, "invalid-connections", 'The "connections" field is not an array', "connections", rawConnections);
+  } else {
+    rawConnections.forEach((conn, i) => {
+      const location = `connections[${i}]`;
+
+      if (!conn || typeof conn !== "object" || !conn.source || !conn.target) {
+        report(errors, "missing-field", "Connection needs both a source and a target", location, conn);
+        return;
+      }
+
+      const unknown = [conn.source, conn.target].filter(id => !projectsById.has(id));
+      if (unknown.length > 0) {
+        report(errors, "dangling-connection", `Connection references unknown or invalid project${unknown.length > 1 ? "s" : ""}: ${unknown.join(", ")}`, location, conn);
+        return;
+      }
+
+      if (conn.source === conn.target) {
+        report(errors, "self-loop", `Connection from "${conn.source}" to itself`, location, conn);
+        return;
+      }
+
+      if (typeof conn.value !== "number" || !isFinite(conn.value)) {
+        report(errors, "invalid-value", `Connection value "${conn.value}" is not a number`, location, conn);
+        return;
+      }
+      if (conn.value <= 0) {
+        report(warnings, "non-positive-value", `Connection value ${conn.value} is not positive`, location, conn);
+      }
+
+      const key = `${conn.source}\u0000${conn.target}`;
+      if (seenConnections.has(key)) {
+        report(warnings, "duplicate-connection", `Duplicate connection ${conn.source} → ${conn.target} (only the first is drawn)`, location, conn);
+        return;
+      }
+      seenConnections.add(key);
+
+      // The target should not start before the source has finished
+      const source = projectsById.get(conn.source);
+      const target = projectsById.get(conn.target);
+      if (source.endDate && target.startDate < source.endDate) {
+        report(warnings, "target-before-source-end", `Target "${conn.target}" starts ${target.project.startDate}, before source "${conn.source}" ends ${source.project.endDate}`, location, conn);
+      } else if (!source.endDate) {
+        report(warnings, "target-before-source-end", `Target "${conn.target}" starts while source "${conn.source}" is still ongoing`, location, conn);
+      }
+
+      connections.push(conn);
+    });
+  }
+
+  findCycles(connections).forEach(cycle => {
+    report(warnings, "cycle", `Connections form a cycle: ${cycle.join(" → ")}`, "connections", cycle);
+  });
+
+  return { errors, warnings, data: { ...projectData, projects, connections } };
+}
+
+// Find cycles in the connection graph with a depth-first search.
+// Returns each cycle once as a list of ids that starts and ends with the same id.
+function findCycles(connections) {
+  const adjacency = new Map();
+  connections.forEach(conn => {
+    if (!adjacency.has(conn.source)) adjacency.set(conn.source, []);
+    adjacency.get(conn.source).push(conn.target);
+  });
+
+  const cycles = [];
+  const done = new Set();
+  const stack = [];
+  const onStack = new Set();
+
+  const visit = id => {
+    stack.push(id);
+    onStack.add(id);
+
+    (adjacency.get(id) || []).forEach(next => {
+      if (onStack.has(next)) {
+        // Back edge: the cycle is the part of the stack from `next` onwards
+        cycles.push([...stack.slice(stack.indexOf(next)), next]);
+      } else if (!done.has(next)) {
+        visit(next);
+      }
+    });
+
+    stack.pop();
+    onStack.delete(id);
+    done.add(id);
+  };
+
+  adjacency.forEach((targets, id) => {
+    if (!done.has(id)) visit(id);
+  });
+
+  return cycles;
+}
+
+// Show the validation results in the page, listing each problem with its record.
+// The report is hidden when there is nothing to show.
+function renderValidationReport(container, report) {
+  if (!container) return;
+
+  container.innerHTML = '';
+  const issueCount = report.errors.length + report.warnings.length;
+  container.style.display = issueCount > 0 ? 'block' : 'none';
+  if (issueCount === 0) return;
+
+  const details = document.createElement('details');
+  details.className = 'validation-report';
+  // Open the report straight away when records were left out of the chart
+  details.open = report.errors.length > 0;
+
+  const summary = document.createElement('summary');
+  summary.textContent = `Data quality: ${report.errors.length} error${report.errors.length === 1 ? '' : 's'}` +
+    `, ${report.warnings.length} warning${report.warnings.length === 1 ? '' : 's'}` +
+    (report.errors.length > 0 ? ' (records with errors are not shown in the chart)' : '');
+  details.appendChild(summary);
+
+  const list = document.createElement('ul');
+
+  [...report.errors.map(issue => ({ ...issue, level: 'error' })),
+   ...report.warnings.map(issue => ({ ...issue, level: 'warning' }))].forEach(issue => {
+    const item = document.createElement('li');
+    item.className = `validation-issue validation-${issue.level}`;
+
+    const message = document.createElement('div');
+    message.className = 'validation-message';
+    message.textContent = `${issue.level === 'error' ? 'Error' : 'Warning'} in ${issue.location}: ${issue.message}`;
+    item.appendChild(message);
+
+    if (issue.record !== null && issue.record !== undefined) {
+      const record = document.createElement('pre');
+      record.className = 'validation-record';
+      record.textContent = JSON.stringify(issue.record, null, 2);
+      item.appendChild(record);
+    }
+
+    list.appendChild(item);
+  });
+
+  details.appendChild(list);
+  container.appendChild(details);
+}
+
+export { validateProjectData, findCycles, renderValidationReport };
@@ -0,0 +1,231 @@
+// Export the chart as a self-contained SVG, a PNG or a PDF.
+// The export is a copy of the live SVG with its CSS inlined, so filters, highlights
+// and zoom look the same as on screen, plus a title, legend and generation date.
+
+// Style properties copied from the page's CSS into the exported SVG
+const inlinedStyleProperties = [
+  "fill", "fill-opacity", "stroke", "stroke-width", "stroke-opacity",
+  "stroke-dasharray", "stroke-dashoffset", "opacity", "mix-blend-mode",
+  "font-family", "font-size", "font-weight", "text-anchor", "text-shadow",
+  "display", "visibility"
+];
+
+// Space above the chart for the title and below it for the legend
+const headerHeight = 56;
+const legendRowHeight = 20;
+
+// Copy computed styles from each element of the live SVG onto the matching element of its clone
+function inlineStyles(source, target) {
+  const computed = getComputedStyle(source);
+  const style = inlinedStyleProperties
+    .map(property => [property, computed.getPropertyValue(property)])
+    .filter(([, value]) => value !== "" && value !== undefined)
+    .map(([property, value]) => `${property}: ${value}`)
+    .join("; ");
+
+  if (style) {
+    target.setAttribute("style", `${style}; ${target.getAttribute("style") || ""}`);
+  }
+
+  for (let i = 0; i < source.children.length; i++) {
+    inlineStyles(source.children[i], target.children[i]);
+  }
+}
+
+// Build a standalone copy of the chart SVG with inlined styles, a title, details line and legend.
+// options: { title, details: [text], legendItems: [{ type: "swatch" | "line", color, label }],
+//            height (chart height to keep), generatedAt }
+function buildExportSvg(d3, svgNode, options = {}) {
+  const {
+    title = "",
+    details = [],
+    legendItems = [],
+    generatedAt = new Date()
+  } = options;
+  const width = +svgNode.getAttribute("width");
+  const chartHeight = options.height || +svgNode.getAttribute("height");
+
+  // Clone the chart, inline its CSS and drop the parts that only make sense on screen
+  const chart = svgNode.cloneNode(true);
+  inlineStyles(svgNode, chart);
+  chart.querySelectorAll(".no-export").forEach(el => el.remove());
+
+  // Lay the legend out in rows that fit the width
+  const legendPositions = [];
+  let legendX = 0;
+  let legendRow = 0;
+  legendItems.forEach(item => {
+    const itemWidth = 30 + item.label.length * 6.5;
+    if (legendX > 0 && legendX + itemWidth > width - 40) {
+      legendX = 0;
+      legendRow += 1;
+    }
+    legendPositions.push({ ...item, x: legendX, y: legendRow * legendRowHeight });
+    legendX += itemWidth;
+  });
+  const legendHeight = legendItems.length > 0 ? (legendRow + 1) * legendRowHeight + 20 : 0;
+  const totalHeight = headerHeight + chartHeight + legendHeight;
+
+  const svg = d3.create("svg")
+    .attr("xmlns", "http://www.w3.org/2000/svg")
+    .attr("xmlns:xlink", "http://www.w3.org/1999/xlink")
+    .attr("width", width)
+    .attr("height", totalHeight)
+    .attr("viewBox", `0 0 ${width} ${totalHeight}`)
+    .attr("font-family", "Arial, sans-serif");
+
+  svg.append("rect")
+    .attr("width", width)
+    .attr("height", totalHeight)
+    .attr("fill", options.background || "#fff");
+
+  // Title and details
+  svg.append("text")
+    .attr("x", 20)
+    .attr("y", 26)
+    .attr("font-size", 18)
+    .attr("font-weight", "bold")
+    .attr("fill", options.textColor || "#333")
+    .text(title);
+
+  svg.append("text")
+    .attr("x", 20)
+    .attr("y", 44)
+    .attr("font-size", 11)
+    .attr("fill", "#666")
+    .text([`Generated ${d3.timeFormat("%b %d, %Y")(generatedAt)}`, ...details].join(" · "));
+
+  // The chart itself, cropped to the requested height
+  svg.append("clipPath")
+    .attr("id", "export-crop")
+    .append("rect")
+    .attr("width", width)
+    .attr("height", chartHeight);
+
+  const chartGroup = svg.append("g")
+    .attr("transform", `translate(0, ${headerHeight})`)
+    .append("g")
+    .attr("clip-path", "url(#export-crop)");
+
+  while (chart.firstChild) {
+    chartGroup.node().appendChild(chart.firstChild);
+  }
+
+  // Legend
+  const legend = svg.append("g")
+    .attr("class", "export-legend")
+    .attr("transform", `translate(20, ${headerHeight + chartHeight + 10})`);
+
+  legendPositions.forEach(item => {
+    const entry = legend.append("g")
+      .attr("transform", `translate(${item.x}, ${item.y})`);
+
+    if (item.type === "line") {
+      entry.append("line")
+        .attr("x1", 0)
+        .attr("x2", 20)
+        .attr("y1", 6)
+        .attr("y2", 6)
+        .attr("stroke", item.color)
+        .attr("stroke-width", item.width || 3)
+        .attr("stroke-dasharray", item.dash || null);
+    } else {
+      entry.append("rect")
+        .attr("width", 20)
+        .attr("height", 12)
+        .attr("rx", 3)
+        .attr("fill", item.color)
+        .attr("opacity", item.opacity !== undefined ? item.opacity : 1)
+        .attr("stroke", item.stroke || "none");
+    }
+
+    entry.append("text")
+      .attr("x", 26)
+      .attr("y", 10)
+      .attr("font-size", 11)
+      .attr("fill", options.textColor || "#333")
+      .text(item.label);
+  });
+
+  return svg.node();
+}
+
+// Serialize an SVG element to a standalone SVG document
+function serializeSvg(svgElement) {
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(svgElement);
+}
+
+// Draw SVG markup onto a canvas at the given scale
+function rasterizeSvg(svgString, width, height, scale = 2, background = "#fff") {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+
+      const context = canvas.getContext('2d');
+      context.fillStyle = background;
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      context.drawImage(image, 0, 0, canvas.width, canvas.height);
+      resolve(canvas);
+    };
+    image.onerror = () => reject(new Error('The chart could not be drawn as an image'));
+
+    // A data URL (rather than a blob URL) keeps the canvas exportable in every browser
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svgString)}`;
+  });
+}
+
+// Offer a Blob to the user as a file download
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Export the chart in the given format ("svg", "png" or "pdf").
+// options are passed to buildExportSvg, plus scale (PNG/PDF resolution) and filename (without extension).
+async function exportView(d3, svgNode, format, options = {}) {
+  const exportSvg = buildExportSvg(d3, svgNode, options);
+  const svgString = serializeSvg(exportSvg);
+  const width = +exportSvg.getAttribute("width");
+  const height = +exportSvg.getAttribute("height");
+  const filename = options.filename || `timeline-${d3.timeFormat("%Y-%m-%d")(new Date())}`;
+
+  if (format === "svg") {
+    downloadBlob(new Blob([svgString], { type: 'image/svg+xml;charset=utf-8' }), `${filename}.svg`);
+    return;
+  }
+
+  const canvas = await rasterizeSvg(svgString, width, height, options.scale || 2, options.background);
+
+  if (format === "png") {
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    downloadBlob(blob, `${filename}.png`);
+    return;
+  }
+
+  if (format === "pdf") {
+    // Load jsPDF only when a PDF is actually requested
+    const { jsPDF } = await import('https://cdn.jsdelivr.net/npm/jspdf@2/+esm');
+    const pdf = new jsPDF({
+      orientation: width >= height ? 'landscape' : 'portrait',
+      unit: 'pt',
+      format: [width, height]
+    });
+    pdf.addImage(canvas.toDataURL('image/png'), 'PNG', 0, 0, width, height);
+    pdf.save(`${filename}.pdf`);
+    return;
+  }
+
+  throw new Error(`Unknown export format: ${format}`);
+}
+
+export { buildExportSvg, serializeSvg, rasterizeSvg, downloadBlob, exportView };
@@ -0,0 +1,126 @@
+// Lineage of a project: the ancestors that led into it (following targetLinks) and the
+// descendants that came out of it (following sourceLinks).
+// Each direction is walked breadth-first, so every project appears once, at the fewest links
+// from the selected one. A link that closes a loop is recorded as a cycle of that direction
+// and not followed.
+
+// Trace the lineage of `root`. options: { direction ("upstream", "downstream" or "both"),
+// maxDepth (links to follow; 0 or Infinity for no limit), isVisible (node filter) }.
+// Returns { root, ancestors, descendants, nodeIds, links, cycles }: a tree per direction
+// (entries of { node, link, depth, value, children }, where value is the total link value from
+// the root, and the root entry also holds the direction's own `cycles`), the ids of every node
+// in the lineage, its links (tree and cross links) and the links that close a cycle in either
+// direction without being a tree link in the other.
+function traceLineage(root, options = {}) {
+  const {
+    direction = "both",
+    maxDepth = Infinity,
+    isVisible = () => true
+  } = options;
+  const depthLimit = maxDepth > 0 ? maxDepth : Infinity;
+
+  const nodeIds = new Set([root.id]);
+  const links = new Set();
+
+  const walk = (linksOf, nextOf) => {
+    const tree = { node: root, link: null, depth: 0, value: 0, children: [], cycles: [] };
+    const entries = new Map([[root.id, tree]]);
+    const crossLinks = [];
+    let level = [tree];
+
+    while (level.length > 0 && level[0].depth < depthLimit) {
+      const nextLevel = [];
+
+      level.forEach(entry => {
+        linksOf(entry.node)
+          .filter(link => isVisible(nextOf(link)))
+          .forEach(link => {
+            const next = nextOf(link);
+            links.add(link);
+
+            if (entries.has(next.id)) {
+              crossLinks.push({ link, from: entry.node, to: next });
+              return;
+            }
+
+            const child = { node: next, link, depth: entry.depth + 1, value: entry.value + (+link.value || 0), children: [] };
+            entries.set(next.id, child);
+            entry.children.push(child);
+            nextLevel.push(child);
+          });
+      });
+
+      level = nextLevel;
+    }
+
+    // A link to a node that was already reached closes a cycle when that node leads back
+    // to where the link started; otherwise it's just a second route to the same node
+    tree.cycles = crossLinks
+      .filter(({ from, to }) => reaches(to, from, linksOf, nextOf, entries))
+      .map(({ link }) => link);
+
+    Array.from(entries.keys()).forEach(id => nodeIds.add(id));
+    return tree;
+  };
+
+  const ancestors = direction !== "downstream"
+    ? walk(node => node.targetLinks, link => link.source)
+    : null;
+  const descendants = direction !== "upstream"
+    ? walk(node => node.sourceLinks, link => link.target)
+    : null;
+
+  // Walking the other way can follow a link that closes a cycle in this direction (A → B closes
+  // A → B → C → A walking upstream from A, but is the first step downstream), and a link drawn
+  // as part of a tree isn't also flagged as a cycle
+  const trees = [ancestors, descendants].filter(Boolean);
+  const treeLinks = new Set();
+  const collect = entry => entry.children.forEach(child => {
+    treeLinks.add(child.link);
+    collect(child);
+  });
+  trees.forEach(collect);
+
+  const cycles = [];
+  trees.forEach(tree => tree.cycles.forEach(link => {
+    if (!treeLinks.has(link) && !cycles.includes(link)) cycles.push(link);
+  }));
+
+  return { root, ancestors, descendants, nodeIds, links, cycles };
+}
+
+// True if `from` leads to `to` through links between nodes that were reached
+function reaches(from, to, linksOf, nextOf, entries) {
+  const seen = new Set([from.id]);
+  const queue = [from];
+
+  while (queue.length > 0) {
+    const node = queue.shift();
+    if (node.id === to.id) return true;
+
+    linksOf(node)
+      .map(nextOf)
+      .filter(next => entries.has(next.id) && !seen.has(next.id))
+      .forEach(next => {
+        seen.add(next.id);
+        queue.push(next);
+      });
+  }
+
+  return false;
+}
+
+// The tree's entries grouped by depth, leaving out the root: levels[0] holds the entries one
+// link away, levels[1] two links away, and so on
+function lineageLevels(tree) {
+  const levels = [];
+  const visit = entry => entry.children.forEach(child => {
+    (levels[child.depth - 1] = levels[child.depth - 1] || []).push(child);
+    visit(child);
+  });
+
+  if (tree) visit(tree);
+  return levels;
+}
+
+export { traceLineage, lineageLevels };
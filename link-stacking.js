@@ -0,0 +1,50 @@
+// Sankey-style link stacking: where each link leaves its source and enters its target.
+// A node's outgoing links are stacked down its right edge and its incoming links down its
+// left edge, each taking up its own width, in the order of the nodes at their other ends so
+// that links cross as little as possible (the same ordering d3-sankey uses).
+
+// Ways to size nodes: "fixed" keeps the layout's row height, "flow" makes a node as tall as
+// the larger of its stacked incoming and outgoing links
+const nodeSizings = ["fixed", "flow"];
+
+// Total width of a set of links stacked on top of each other
+function stackWidth(links) {
+  return links.reduce((sum, link) => sum + (link.width || 0), 0);
+}
+
+// Height a node needs to fit its links stacked on both edges
+function nodeFlowHeight(node) {
+  return Math.max(stackWidth(node.sourceLinks), stackWidth(node.targetLinks));
+}
+
+// Set link.y0 (the middle of the link where it leaves the source) and link.y1 (where it
+// enters the target) for every link. Node positions and link widths must be set first.
+// Each stack is centered on its node edge; a stack taller than the node is squeezed to the
+// node's height, so its links overlap rather than spill past the bar.
+function stackLinks(graph) {
+  const middle = node => (node.y0 + node.y1) / 2;
+  const byOtherEnd = (end, edge) => (a, b) =>
+    middle(a[end]) - middle(b[end]) || a[end][edge] - b[end][edge];
+
+  graph.nodes.forEach(node => {
+    stackEdge(node, node.sourceLinks.slice().sort(byOtherEnd("target", "x0")), "y0");
+    stackEdge(node, node.targetLinks.slice().sort(byOtherEnd("source", "x1")), "y1");
+  });
+
+  return graph;
+}
+
+// Stack links down one edge of a node, writing each link's middle to link[field]
+function stackEdge(node, links, field) {
+  const total = stackWidth(links);
+  const squeeze = total > 0 ? Math.min(1, (node.y1 - node.y0) / total) : 1;
+  let y = (node.y0 + node.y1) / 2 - (total * squeeze) / 2;
+
+  links.forEach(link => {
+    const width = (link.width || 0) * squeeze;
+    link[field] = y + width / 2;
+    y += width;
+  });
+}
+
+export { nodeSizings, nodeFlowHeight, stackLinks };
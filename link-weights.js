@@ -0,0 +1,65 @@
+// How a connection's `value` and optional `type` show on the chart: the stroke width scale,
+// a dash pattern per type, and the text that explains a link on hover.
+
+// Link width used unless the options or the control panel say otherwise
+const defaultLinkWidth = { scale: "linear", min: 1, max: 12 };
+
+// Dash patterns handed out to link types in alphabetical order; untyped links are solid
+const linkDashPatterns = ["6,3", "2,3", "8,3,2,3", "1,5", "12,4"];
+
+// Scale link values to stroke widths in pixels. options: { scale ("linear", "sqrt" or "log"),
+// min, max (px) }. Linear and square-root scales start from a value of 0, a log scale from the
+// smallest value; values of zero or less get the minimum width.
+function createLinkWidthScale(d3, links, options = {}) {
+  const { scale, min, max } = { ...defaultLinkWidth, ...options };
+  const values = links.map(link => +link.value).filter(value => value > 0);
+  const maxValue = d3.max(values) || 1;
+  let valueScale;
+
+  if (scale === "log") {
+    const minValue = d3.min(values) || 1;
+    valueScale = d3.scaleLog().domain([minValue < maxValue ? minValue : maxValue / 10, maxValue]);
+  } else {
+    valueScale = (scale === "sqrt" ? d3.scaleSqrt() : d3.scaleLinear()).domain([0, maxValue]);
+  }
+  valueScale.range([min, Math.max(min, max)]).clamp(true);
+
+  return value => +value > 0 ? valueScale(+value) : min;
+}
+
+// Map each link type to a dash pattern
+function linkTypeDashes(links) {
+  const types = Array.from(new Set(links.map(link => link.type).filter(type => type))).sort();
+  return new Map(types.map((type, i) => [type, linkDashPatterns[i % linkDashPatterns.length]]));
+}
+
+// Share (0 to 1) of its source's total outgoing value that a link carries
+function outflowShare(link) {
+  const total = link.source.sourceLinks.reduce((sum, outgoing) => sum + Math.max(0, +outgoing.value || 0), 0);
+  return total > 0 ? Math.max(0, +link.value || 0) / total : 0;
+}
+
+// Hover text for a link: its ends, value with the share of the source's outflow, and type
+function linkTitle(link, valueLabel) {
+  const share = Math.round(outflowShare(link) * 100);
+  return `${link.source.name} → ${link.target.name}` +
+    `\n${valueLabel}: ${link.value} (${share}% of ${link.source.name}'s outgoing)` +
+    (link.type ? `\nType: ${link.type}` : "");
+}
+
+// A few representative values to show in a width legend: the smallest, middle and largest
+function legendValues(links) {
+  const values = Array.from(new Set(links.map(link => +link.value).filter(value => value > 0)))
+    .sort((a, b) => a - b);
+  if (values.length <= 3) return values;
+  return [values[0], values[Math.floor(values.length / 2)], values[values.length - 1]];
+}
+
+export {
+  defaultLinkWidth,
+  createLinkWidthScale,
+  linkTypeDashes,
+  outflowShare,
+  linkTitle,
+  legendValues
+};
@@ -0,0 +1,140 @@
+// Placing project labels so they stay readable: to the left of the bar when there's room,
+// otherwise inside the bar, wrapped onto two lines, to the right of the bar, or nudged up or
+// down with a leader line back to the bar, and truncated with an ellipsis as a last resort.
+// A spot is only used if the label stays inside the chart and clear of other bars and labels.
+
+const labelFont = "11px Arial, sans-serif";
+const labelFontSize = 11;
+const labelLineHeight = 13;
+const labelGap = 5; // Between a label and its bar
+
+// A function measuring the width of a label in px, with a canvas where there is one and an
+// estimate from the number of characters otherwise. Widths are cached per text.
+function createTextMeasurer(font = labelFont, fontSize = labelFontSize) {
+  let context = null;
+  try {
+    context = document.createElement('canvas').getContext('2d');
+  } catch (error) {
+    context = null; // No canvas support, e.g. in a test DOM
+  }
+  if (context) context.font = font;
+
+  const widths = new Map();
+  return text => {
+    if (!widths.has(text)) {
+      widths.set(text, context ? context.measureText(text).width : text.length * fontSize * 0.55);
+    }
+    return widths.get(text);
+  };
+}
+
+// Split text at the space that makes its longer half shortest, or null for a single word
+function wrapInTwo(text, measure) {
+  const words = text.split(/\s+/);
+  if (words.length < 2) return null;
+
+  let best = null;
+  for (let i = 1; i < words.length; i++) {
+    const lines = [words.slice(0, i).join(" "), words.slice(i).join(" ")];
+    const width = Math.max(...lines.map(measure));
+    if (!best || width < best.width) best = { lines, width };
+  }
+  return best;
+}
+
+// The longest start of `text` that fits `width` px with an ellipsis after it
+function truncate(text, width, measure) {
+  if (measure(text) <= width) return text;
+
+  let length = text.length - 1;
+  while (length > 1 && measure(`${text.slice(0, length).trimEnd()}…`) > width) length--;
+  return `${text.slice(0, length).trimEnd()}…`;
+}
+
+// Work out where each node's label goes. Nodes need x0, x1, y0, y1 and name.
+// options: { measure (see createTextMeasurer), left and right (the x range labels must stay
+// within) }.
+// Returns a Map from node id to { lines, x, y (middle of the label), anchor ("start" or
+// "end"), placement ("left", "inside", "wrapped", "right", "nudged" or "truncated"), inside
+// (drawn over the bar), leader ({ x1, y1, x2, y2 } from the label to its bar, or null) }.
+function placeLabels(nodes, options) {
+  const { measure, left, right } = options;
+  const barRight = node => node.x0 + Math.max(5, node.x1 - node.x0);
+  const bars = nodes.map(node => ({ node, x0: node.x0, x1: barRight(node), y0: node.y0, y1: node.y1 }));
+  const placed = [];
+  const overlaps = (a, b) => a.x0 < b.x1 && b.x0 < a.x1 && a.y0 < b.y1 && b.y0 < a.y1;
+
+  // Inside labels may cover their own bar but nothing else
+  const clear = (box, node, inside) =>
+    box.x0 >= left && box.x1 <= right &&
+    !bars.some(bar => (!inside || bar.node !== node) && overlaps(bar, box)) &&
+    !placed.some(other => overlaps(other, box));
+
+  // A label box of the given width and number of lines, anchored at x and centered on y
+  const box = (x, y, width, lineCount, anchor) => {
+    const height = lineCount * labelLineHeight;
+    return anchor === "end"
+      ? { x0: x - width, x1: x, y0: y - height / 2, y1: y + height / 2 }
+      : { x0: x, x1: x + width, y0: y - height / 2, y1: y + height / 2 };
+  };
+
+  const placements = new Map();
+  const ordered = nodes.slice().sort((a, b) => a.y0 - b.y0 || a.x0 - b.x0);
+
+  ordered.forEach(node => {
+    const name = String(node.name);
+    const width = measure(name);
+    const middle = (node.y0 + node.y1) / 2;
+    const leftX = node.x0 - labelGap;
+    const shownX0 = Math.max(node.x0, 0); // Where the bar comes into view when zoomed
+    const wrapped = wrapInTwo(name, measure);
+
+    const candidates = [
+      () => ({ placement: "left", lines: [name], x: leftX, y: middle, anchor: "end", box: box(leftX, middle, width, 1, "end") }),
+      () => width + 8 <= barRight(node) - shownX0 && node.y1 - node.y0 >= labelLineHeight - 2
+        ? { placement: "inside", lines: [name], x: shownX0 + 4, y: middle, anchor: "start", inside: true,
+          box: box(shownX0 + 4, middle, width, 1, "start") }
+        : null,
+      () => wrapped
+        ? { placement: "wrapped", lines: wrapped.lines, x: leftX, y: middle, anchor: "end", box: box(leftX, middle, wrapped.width, 2, "end") }
+        : null,
+      () => ({ placement: "right", lines: [name], x: barRight(node) + labelGap, y: middle, anchor: "start",
+        box: box(barRight(node) + labelGap, middle, width, 1, "start") }),
+      ...[-1, 1, -2, 2].map(step => () => {
+        const y = middle + step * labelLineHeight;
+        return { placement: "nudged", lines: [name], x: leftX, y, anchor: "end", box: box(leftX, y, width, 1, "end"),
+          leader: { x1: leftX + 2, y1: y, x2: node.x0, y2: middle } };
+      })
+    ];
+
+    let chosen = null;
+    for (const candidate of candidates) {
+      const spot = candidate();
+      if (spot && clear(spot.box, node, !!spot.inside)) {
+        chosen = spot;
+        break;
+      }
+    }
+
+    // Last resort: whatever fits to the left of the bar, ending in an ellipsis
+    if (!chosen) {
+      const text = truncate(name, Math.max(0, leftX - left), measure);
+      chosen = { placement: "truncated", lines: [text], x: leftX, y: middle, anchor: "end", box: box(leftX, middle, measure(text), 1, "end") };
+    }
+
+    placed.push(chosen.box);
+    placements.set(node.id, {
+      lines: chosen.lines,
+      x: chosen.x,
+      y: chosen.y,
+      anchor: chosen.anchor,
+      placement: chosen.placement,
+      inside: !!chosen.inside,
+      leader: chosen.leader || null
+    });
+  });
+
+  return placements;
+}
+
+export { createTextMeasurer, placeLabels };
@@ -0,0 +1,90 @@
+// Project durations computed from start and end dates.
+// The hand-typed `duration` text in the data is only kept for comparison.
+
+// Units a duration can be measured in, with their labels
+const durationUnits = {
+  weeks: { singular: "week", plural: "weeks" },
+  months: { singular: "month", plural: "months" },
+  businessDays: { singular: "business day", plural: "business days" }
+};
+
+// Average month length in days, used for month durations
+const daysPerMonth = 365.25 / 12;
+
+// Measure the time between two dates in the given unit. Weeks and months are
+// calendar time from start to end; business days count weekdays including both
+// ends, so a project running Monday to Friday is 5 business days.
+function measureDuration(d3, startDate, endDate, unit = "weeks") {
+  switch (unit) {
+    case "businessDays":
+      return d3.timeDay.range(startDate, d3.timeDay.offset(endDate, 1))
+        .filter(day => day.getDay() !== 0 && day.getDay() !== 6)
+        .length;
+    case "months":
+      return d3.timeDay.count(startDate, endDate) / daysPerMonth;
+    default:
+      return d3.timeDay.count(startDate, endDate) / 7;
+  }
+}
+
+// Format a measured duration, e.g. "16.1 weeks" or "23 business days"
+function formatDuration(value, unit = "weeks") {
+  const labels = durationUnits[unit] || durationUnits.weeks;
+  const rounded = unit === "businessDays" ? Math.round(value) : Math.round(value * 10) / 10;
+  return `${rounded} ${rounded === 1 ? labels.singular : labels.plural}`;
+}
+
+// Read a hand-typed duration such as "31.4 weeks", "< 1 week" or "Ongoing".
+// Returns { days, below } in calendar days, { ongoing: true }, or null if unreadable.
+function parseDeclaredDuration(text) {
+  if (typeof text !== "string") return null;
+  if (/^\s*ongoing\s*$/i.test(text)) return { ongoing: true };
+
+  const match = /^\s*(<)?\s*(\d+(?:\.\d+)?)\s*(business days?|days?|weeks?|wks?|months?|mos?)\s*$/i.exec(text);
+  if (!match) return null;
+
+  const amount = parseFloat(match[2]);
+  const unit = match[3].toLowerCase();
+  let days = amount * 7;
+  if (unit.startsWith("business")) days = amount * 7 / 5;
+  else if (unit.startsWith("day")) days = amount;
+  else if (unit.startsWith("mo")) days = amount * daysPerMonth;
+
+  return { days, below: !!match[1] };
+}
+
+// Compare a declared duration with the project's dates. Returns a short reason when
+// they disagree, or null when they match (or the declared text can't be read).
+function checkDeclaredDuration(d3, declared, startDate, endDate, hasDefinedEndDate) {
+  const parsed = parseDeclaredDuration(declared);
+  if (!parsed) return null;
+
+  if (parsed.ongoing) {
+    return hasDefinedEndDate ? "declared ongoing, but the project has an end date" : null;
+  }
+  // An ongoing project's length grows every day, so a typed number can't be checked
+  if (!hasDefinedEndDate) return null;
+
+  const actualDays = d3.timeDay.count(startDate, endDate);
+  if (parsed.below) {
+    return actualDays < parsed.days ? null : `declared under ${formatDuration(parsed.days / 7)}, but the dates span ${formatDuration(actualDays / 7)}`;
+  }
+
+  // Allow 10% (at least 3 days) for rounding in the typed value
+  const tolerance = Math.max(3, actualDays * 0.1);
+  return Math.abs(parsed.days - actualDays) <= tolerance
+    ? null
+    : `declared ${declared.trim()}, but the dates span ${formatDuration(actualDays / 7)}`;
+}
+
+// How a node's end reads: its end date, or "Ongoing" with its planned end (and whether it's
+// overdue) when it has one
+function describeEnd(node, dateFormat) {
+  if (node.hasDefinedEndDate) return dateFormat(node.endDate);
+  if (!node.plannedEndDate) return "Ongoing";
+  return node.overdue
+    ? `Ongoing, overdue since ${dateFormat(node.plannedEndDate)}`
+    : `Ongoing, planned to end ${dateFormat(node.plannedEndDate)}`;
+}
+
+export { durationUnits, measureDuration, formatDuration, parseDeclaredDuration, checkDeclaredDuration, describeEnd };
@@ -0,0 +1,158 @@
+// Editing project data in the browser: applying an edit to the raw { projects, connections }
+// data, an undo/redo history of the data as it was before each edit, the form for editing a
+// project's fields, and saving the data back out as JSON.
+// Edits never change the data they're given; they return a copy with the edited record
+// replaced, so earlier versions can be kept for undo.
+
+// Fields the project form edits, as [field, label, input type]
+const projectFormFields = [
+  ["name", "Name", "text"],
+  ["startDate", "Start date", "date"],
+  ["endDate", "End date (empty if ongoing)", "date"],
+  ["plannedEndDate", "Planned end", "date"],
+  ["duration", "Duration", "text"],
+  ["category", "Category", "text"],
+  ["phase", "Phases", "text"],
+  ["skills", "Skills (comma-separated)", "text"],
+  ["description", "Description", "textarea"]
+];
+
+// Apply an edit to project data:
+//   { type: "project", id, changes } sets the project's fields (an empty or undefined value
+//   removes the field, e.g. an empty endDate makes the project ongoing);
+//   { type: "connection", source, target, value } sets the value of the connection between
+//   two projects, adding the connection if there isn't one.
+// Returns { data, record }: the edited copy of the data and the new or changed record, for
+// checking against the validation report.
+function applyProjectEdit(data, edit) {
+  if (edit.type === "project") {
+    const index = data.projects.findIndex(project => project.id === edit.id);
+    if (index === -1) throw new Error(`There's no project "${edit.id}" to edit`);
+
+    const record = { ...data.projects[index], ...edit.changes };
+    Object.keys(edit.changes).forEach(field => {
+      if (record[field] === undefined || record[field] === "") delete record[field];
+    });
+
+    const projects = data.projects.slice();
+    projects[index] = record;
+    return { data: { ...data, projects }, record };
+  }
+
+  if (edit.type === "connection") {
+    const connections = (data.connections || []).slice();
+    const index = connections.findIndex(conn => conn.source === edit.source && conn.target === edit.target);
+    const record = { ...connections[index], source: edit.source, target: edit.target, value: edit.value };
+
+    if (index === -1) {
+      connections.push(record);
+    } else {
+      connections[index] = record;
+    }
+    return { data: { ...data, connections }, record };
+  }
+
+  throw new Error(`Unknown edit type "${edit.type}"`);
+}
+
+// Undo and redo over versions of the data. record(data) is called with the data as it was
+// before each edit; undo(current) and redo(current) take the data on screen and return the
+// version to show instead, or null if there's nothing to undo or redo.
+function createEditHistory() {
+  const undoStack = [];
+  const redoStack = [];
+
+  return {
+    record(data) {
+      undoStack.push(data);
+      redoStack.length = 0;
+    },
+    undo(current) {
+      if (undoStack.length === 0) return null;
+      redoStack.push(current);
+      return undoStack.pop();
+    },
+    redo(current) {
+      if (redoStack.length === 0) return null;
+      undoStack.push(current);
+      return redoStack.pop();
+    },
+    clear() {
+      undoStack.length = 0;
+      redoStack.length = 0;
+    },
+    canUndo: () => undoStack.length > 0,
+    canRedo: () => redoStack.length > 0
+  };
+}
+
+// Fill `form` with inputs for a project's fields, as stored in the data (so dates are
+// YYYY-MM-DD strings). onSave(changes) gets every field, with text trimmed, skills split into a
+// list and a numeric phase turned into a number; onCancel() is called on Cancel or Escape.
+function renderProjectForm(form, project, { onSave, onCancel }) {
+  form.innerHTML = '';
+
+  projectFormFields.forEach(([field, label, type]) => {
+    const row = document.createElement('label');
+    row.className = 'edit-field';
+    row.appendChild(document.createTextNode(label));
+
+    const input = document.createElement(type === 'textarea' ? 'textarea' : 'input');
+    if (type !== 'textarea') input.type = type;
+    input.name = field;
+    const value = project[field];
+    input.value = Array.isArray(value) ? value.join(', ') : value != null ? String(value) : '';
+    row.appendChild(input);
+    form.appendChild(row);
+  });
+
+  const buttons = document.createElement('div');
+  buttons.className = 'export-options';
+  buttons.innerHTML = '<button type="submit">Save changes</button><button type="button" class="edit-cancel">Cancel</button>';
+  form.appendChild(buttons);
+
+  form.onsubmit = event => {
+    event.preventDefault();
+    const changes = {};
+    projectFormFields.forEach(([field]) => {
+      const text = form.elements[field].value.trim();
+      if (field === 'skills') {
+        changes.skills = text.split(',').map(skill => skill.trim()).filter(skill => skill !== '');
+      } else if (field === 'phase') {
+        changes.phase = text !== '' && isFinite(Number(text)) ? Number(text) : text;
+      } else {
+        changes[field] = text;
+      }
+    });
+    onSave(changes);
+  };
+  form.onkeydown = event => {
+    if (event.key === 'Escape') {
+      event.stopPropagation();
+      onCancel();
+    }
+  };
+  buttons.querySelector('.edit-cancel').onclick = onCancel;
+
+  form.elements.name.focus();
+}
+
+// The data as a JSON file in the same layout it's loaded from
+function serializeProjectData(data) {
+  return `${JSON.stringify(data, null, 2)}\n`;
+}
+
+// Send the data to a save endpoint (such as the one save-server.mjs provides) as a JSON POST.
+// Rejects with the server's message if it doesn't accept the data.
+async function saveProjectData(url, data) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: serializeProjectData(data)
+  });
+  if (!response.ok) {
+    throw new Error(`${response.status} ${response.statusText}: ${await response.text()}`);
+  }
+}
+
+export { applyProjectEdit, createEditHistory, renderProjectForm, serializeProjectData, saveProjectData };
@@ -0,0 +1,136 @@
+// Faceted filtering of the chart's nodes: skills (matching any or all of the checked skills),
+// category, phase, people assigned, a date range the project must overlap, ongoing projects
+// only, and a free-text search over name and description. A facet with nothing picked doesn't filter.
+
+// T-shirt sizes from smallest to largest
+const categoryOrder = ["XS", "S", "M", "L", "XL"];
+
+// Category and phase of a node as shown in the filter panel and lane headers
+function categoryOf(node) {
+  return node.category || "Uncategorized";
+}
+
+function phaseOf(node) {
+  return node.phase != null && node.phase !== "" ? `Phase ${node.phase}` : "No phase";
+}
+
+// The number in a phaseOf value, or Infinity when there's none, so that phases sort in number
+// order (phase 0 first) with "No phase" and unnumbered phases last
+function phaseNumber(phase) {
+  const number = parseFloat(phase.replace("Phase ", ""));
+  return Number.isFinite(number) ? number : Infinity;
+}
+
+// Filters that let every node through, with any of the given facets set
+function createFilters(facets = {}) {
+  return {
+    skills: [],
+    skillMatch: "any", // "any" or "all" of the checked skills
+    categories: [],
+    phases: [],
+    people: [], // Ids of people; a project matches if any of them is assigned to it
+    from: null, // Dates the project must overlap; either end may be left open
+    to: null,
+    ongoingOnly: false,
+    search: "",
+    ...facets
+  };
+}
+
+// Test for each facet, true when a node passes it
+const facetTests = {
+  skills: (node, filters) => filters.skills.length === 0 || (filters.skillMatch === "all"
+    ? filters.skills.every(skill => node.skills.includes(skill))
+    : filters.skills.some(skill => node.skills.includes(skill))),
+  categories: (node, filters) => filters.categories.length === 0 || filters.categories.includes(categoryOf(node)),
+  phases: (node, filters) => filters.phases.length === 0 || filters.phases.includes(phaseOf(node)),
+  people: (node, filters) => filters.people.length === 0 || node.assignees.some(({ id }) => filters.people.includes(id)),
+  dates: (node, filters) => (!filters.from || node.endDate >= filters.from) && (!filters.to || node.startDate <= filters.to),
+  ongoing: (node, filters) => !filters.ongoingOnly || !node.hasDefinedEndDate,
+  search: (node, filters) => {
+    const text = filters.search.trim().toLowerCase();
+    return text === "" || [node.name, node.description]
+      .some(value => value != null && String(value).toLowerCase().includes(text));
+  }
+};
+
+// True if a node passes every facet, leaving out the facet named by `except`
+function matchesFilters(node, filters, except = null) {
+  return Object.keys(facetTests).every(facet => facet === except || facetTests[facet](node, filters));
+}
+
+// True if any facet filters anything out
+function isFiltering(filters) {
+  return filters.skills.length > 0 || filters.categories.length > 0 || filters.phases.length > 0 || filters.people.length > 0 ||
+    !!filters.from || !!filters.to || filters.ongoingOnly || filters.search.trim() !== "";
+}
+
+// The values each checkbox facet offers for a set of nodes, in display order
+function facetOptions(nodes) {
+  const unique = values => Array.from(new Set(values));
+  const rank = category => categoryOrder.includes(category) ? categoryOrder.indexOf(category) : categoryOrder.length;
+
+  return {
+    skills: unique(nodes.flatMap(node => node.skills)).sort(),
+    categories: unique(nodes.map(categoryOf)).sort((a, b) => rank(a) - rank(b) || a.localeCompare(b)),
+    phases: unique(nodes.map(phaseOf)).sort((a, b) => phaseNumber(a) - phaseNumber(b) || a.localeCompare(b)),
+    people: unique(nodes.flatMap(node => node.assignees.map(({ id }) => id)))
+  };
+}
+
+// Live match counts for the filter panel. Each count is the number of nodes that would match
+// the other facets together with that facet set as shown: for a checkbox, with that value
+// picked (added to the checked skills when matching all of them).
+// Returns { total, skills, categories, phases, people (Maps from value to count), dates,
+// ongoing, search }.
+function facetCounts(nodes, filters) {
+  const options = facetOptions(nodes);
+  const countWith = (facet, changes) => {
+    const candidate = { ...filters, ...changes };
+    return nodes.filter(node => matchesFilters(node, filters, facet) && facetTests[facet](node, candidate)).length;
+  };
+
+  return {
+    total: nodes.filter(node => matchesFilters(node, filters)).length,
+    skills: new Map(options.skills.map(skill => [skill, countWith("skills", {
+      skills: filters.skillMatch === "all" ? Array.from(new Set([...filters.skills, skill])) : [skill]
+    })])),
+    categories: new Map(options.categories.map(category => [category, countWith("categories", { categories: [category] })])),
+    phases: new Map(options.phases.map(phase => [phase, countWith("phases", { phases: [phase] })])),
+    people: new Map(options.people.map(person => [person, countWith("people", { people: [person] })])),
+    dates: countWith("dates", {}),
+    ongoing: countWith("ongoing", { ongoingOnly: true }),
+    search: countWith("search", {})
+  };
+}
+
+// One line per active facet, e.g. "Skills (all): AI, ML", for export captions. personName
+// turns a person id into a name.
+function describeFilters(filters, dateFormat, personName = id => id) {
+  const lines = [];
+
+  if (filters.search.trim() !== "") lines.push(`Search: "${filters.search.trim()}"`);
+  if (filters.skills.length > 0) lines.push(`Skills (${filters.skillMatch}): ${filters.skills.join(", ")}`);
+  if (filters.categories.length > 0) lines.push(`Category: ${filters.categories.join(", ")}`);
+  if (filters.phases.length > 0) lines.push(`Phase: ${filters.phases.join(", ")}`);
+  if (filters.people.length > 0) lines.push(`People: ${filters.people.map(personName).join(", ")}`);
+  if (filters.from || filters.to) {
+    lines.push(`Active ${filters.from ? `from ${dateFormat(filters.from)}` : ""}${filters.from && filters.to ? " " : ""}${filters.to ? `to ${dateFormat(filters.to)}` : ""}`);
+  }
+  if (filters.ongoingOnly) lines.push("Ongoing only");
+
+  return lines;
+}
+
+export {
+  categoryOrder,
+  categoryOf,
+  phaseOf,
+  phaseNumber,
+  createFilters,
+  matchesFilters,
+  isFiltering,
+  facetOptions,
+  facetCounts,
+  describeFilters
+};
@@ -0,0 +1,58 @@
+// Phases and milestones inside a project: the optional `phases: [{ name, start, end }]` and
+// `milestones: [{ name, date }]` fields of a project, with YYYY-MM-DD dates.
+// Entries whose dates don't parse are left out here; the data-quality report lists them.
+
+// Parse a project's phases and milestones into { phases: [{ name, startDate, endDate }],
+// milestones: [{ name, date }] }, each sorted by date. A phase without an end runs to the
+// start of the next phase, or to the end of the project.
+function parseSchedule(d3, project, projectEnd) {
+  // Strict, so "2024-02-30" is dropped rather than rolled over into March
+  const parse = d3.timeParse("%Y-%m-%d");
+  const format = d3.timeFormat("%Y-%m-%d");
+  const parseDate = value => {
+    const date = typeof value === "string" ? parse(value) : null;
+    return date && format(date) === value ? date : null;
+  };
+  const list = value => Array.isArray(value) ? value.filter(entry => entry && typeof entry === "object") : [];
+
+  const phases = list(project.phases)
+    .map((phase, i) => ({
+      name: phase.name != null && phase.name !== "" ? String(phase.name) : `Phase ${i + 1}`,
+      startDate: parseDate(phase.start),
+      endDate: phase.end ? parseDate(phase.end) : undefined // null when given but unparseable
+    }))
+    .filter(phase => phase.startDate && phase.endDate !== null)
+    .sort((a, b) => a.startDate - b.startDate);
+
+  phases.forEach((phase, i) => {
+    if (phase.endDate === undefined) phase.endDate = i + 1 < phases.length ? phases[i + 1].startDate : projectEnd;
+  });
+
+  const milestones = list(project.milestones)
+    .map(milestone => ({ name: String(milestone.name || "Milestone"), date: parseDate(milestone.date) }))
+    .filter(milestone => milestone.date)
+    .sort((a, b) => a.date - b.date);
+
+  return { phases: phases.filter(phase => phase.endDate >= phase.startDate), milestones };
+}
+
+// Where along a node's bar (0 to 1) each of its phases ends, for sweeping the bar's fill
+// phase by phase. The last stop is always the end of the bar.
+function phaseStops(node) {
+  const span = node.endDate - node.startDate;
+  if (span <= 0 || node.phases.length === 0) return [1];
+
+  const stops = node.phases
+    .map(phase => Math.max(0, Math.min(1, (phase.endDate - node.startDate) / span)))
+    .filter((stop, i, all) => stop > 0 && stop < 1 && (i === 0 || stop > all[i - 1]));
+  return [...stops, 1];
+}
+
+// Dates inside a node's bar where one phase gives way to the next, for drawing dividers
+function phaseDividers(node) {
+  return node.phases
+    .map(phase => phase.startDate)
+    .filter(date => date > node.startDate && date < node.endDate);
+}
+
+export { parseSchedule, phaseStops, phaseDividers };
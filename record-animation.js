@@ -0,0 +1,118 @@
+import { buildExportSvg, serializeSvg, rasterizeSvg, downloadBlob } from './export-view.js';
+
+// Record the timeline animation to a WebM video or an animated GIF.
+// Frames are drawn one at a time at exact animation times (not wall-clock time), so a
+// recording always looks the same however long each frame takes to capture and encode.
+
+// Encode frames as an animated GIF
+async function createGifEncoder(width, height, fps) {
+  const { GIFEncoder, quantize, applyPalette } = await import('https://cdn.jsdelivr.net/npm/gifenc@1/+esm');
+  const gif = GIFEncoder();
+
+  return {
+    addFrame(canvas) {
+      const { data } = canvas.getContext('2d').getImageData(0, 0, width, height);
+      const palette = quantize(data, 256);
+      gif.writeFrame(applyPalette(data, palette), width, height, { palette, delay: 1000 / fps });
+    },
+    finish() {
+      gif.finish();
+      return new Blob([gif.bytes()], { type: 'image/gif' });
+    }
+  };
+}
+
+// Encode frames as a VP9 WebM video with WebCodecs
+async function createWebmEncoder(width, height, fps) {
+  if (typeof VideoEncoder === 'undefined') {
+    throw new Error("This browser can't encode video (WebCodecs is not available); record a GIF instead");
+  }
+
+  const { Muxer, ArrayBufferTarget } = await import('https://cdn.jsdelivr.net/npm/webm-muxer@5/+esm');
+  const muxer = new Muxer({
+    target: new ArrayBufferTarget(),
+    video: { codec: 'V_VP9', width, height, frameRate: fps }
+  });
+
+  let encodeError = null;
+  const encoder = new VideoEncoder({
+    output: (chunk, meta) => muxer.addVideoChunk(chunk, meta),
+    error: error => { encodeError = error; }
+  });
+  encoder.configure({ codec: 'vp09.00.10.08', width, height, framerate: fps, bitrate: 5000000 });
+
+  return {
+    async addFrame(canvas, index) {
+      if (encodeError) throw encodeError;
+
+      // Timestamps come from the frame number, so playback speed is exact
+      const frame = new VideoFrame(canvas, {
+        timestamp: Math.round(index * 1000000 / fps),
+        duration: Math.round(1000000 / fps)
+      });
+      encoder.encode(frame, { keyFrame: index % (fps * 2) === 0 });
+      frame.close();
+
+      // Let the encoder catch up rather than queueing every frame in memory
+      while (encoder.encodeQueueSize > 5) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+    },
+    async finish() {
+      await encoder.flush();
+      if (encodeError) throw encodeError;
+      muxer.finalize();
+      return new Blob([muxer.target.buffer], { type: 'video/webm' });
+    }
+  };
+}
+
+// Step through the animation frame by frame and save it as a video or GIF.
+// renderFrame(time) must draw the chart as it looks `time` ms into the animation.
+// options: { duration (ms), fps, width (output width in px), format ("webm" or "gif"),
+//            holdEnd (ms to keep showing the last frame), exportOptions (title, legend, ...
+//            as for buildExportSvg), filename, onProgress(fraction) }
+async function recordAnimation(d3, svgNode, renderFrame, options = {}) {
+  const {
+    duration,
+    fps = 30,
+    format = 'webm',
+    holdEnd = 1000,
+    exportOptions = {},
+    onProgress = () => {}
+  } = options;
+
+  const frameCount = Math.ceil((duration + holdEnd) / 1000 * fps) + 1;
+  let encoder = null;
+  let frameCanvas = null;
+
+  for (let index = 0; index < frameCount; index++) {
+    renderFrame(Math.min(duration, index * 1000 / fps));
+
+    const frameSvg = buildExportSvg(d3, svgNode, exportOptions);
+    const svgWidth = +frameSvg.getAttribute("width");
+    const svgHeight = +frameSvg.getAttribute("height");
+    const scale = (options.width || svgWidth) / svgWidth;
+    const canvas = await rasterizeSvg(serializeSvg(frameSvg), svgWidth, svgHeight, scale, exportOptions.background);
+
+    if (!encoder) {
+      // Video encoders need even dimensions, so every frame is drawn onto a fixed, even-sized canvas
+      frameCanvas = document.createElement('canvas');
+      frameCanvas.width = canvas.width - (canvas.width % 2);
+      frameCanvas.height = canvas.height - (canvas.height % 2);
+      encoder = format === 'gif'
+        ? await createGifEncoder(frameCanvas.width, frameCanvas.height, fps)
+        : await createWebmEncoder(frameCanvas.width, frameCanvas.height, fps);
+    }
+
+    frameCanvas.getContext('2d').drawImage(canvas, 0, 0);
+    await encoder.addFrame(frameCanvas, index);
+    onProgress((index + 1) / frameCount);
+  }
+
+  const blob = await encoder.finish();
+  const filename = options.filename || `timeline-animation-${d3.timeFormat("%Y-%m-%d")(new Date())}`;
+  downloadBlob(blob, `${filename}.${format === 'gif' ? 'gif' : 'webm'}`);
+}
+
+export { recordAnimation };
@@ -0,0 +1,111 @@
+// A local stand-in for a save endpoint: serves this directory like any static web server, and
+// writes the JSON POSTed to /save over project-data.json, so edit mode's Save button has
+// somewhere to send the data. Run it with `node save-server.mjs [port]` and open
+// http://127.0.0.1:8080/?save=/save. For local use only: it only listens on 127.0.0.1, since
+// anyone who can reach it can overwrite the data, and it only takes saves sent as JSON from its
+// own pages, so other websites open in the browser can't overwrite the data either.
+import { createServer } from 'http';
+import { readFile, writeFile } from 'fs/promises';
+import { extname, join, normalize } from 'path';
+import { fileURLToPath } from 'url';
+
+const root = fileURLToPath(new URL('.', import.meta.url));
+const dataFile = join(root, 'project-data.json');
+const port = Number(process.argv[2]) || 8080;
+
+const contentTypes = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.csv': 'text/csv; charset=utf-8',
+  '.tsv': 'text/tab-separated-values; charset=utf-8',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Read a request's body as text
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    request.on('error', reject);
+  });
+}
+
+// The names this server answers to; any other Host is a DNS rebinding attempt
+const hosts = [`127.0.0.1:${port}`, `localhost:${port}`];
+
+// Why a save request can't be from this server's own pages, or null if it can be. Browsers send
+// other sites' form posts and no-cors fetches without a preflight, but never with a JSON
+// Content-Type, and they always send an Origin with a POST.
+function rejectSave(request) {
+  const { host, origin } = request.headers;
+  const contentType = (request.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+
+  if (!hosts.includes(host)) return `Unknown host "${host}"`;
+  if (origin !== undefined && origin !== `http://${host}`) return `Saves from ${origin} are not accepted`;
+  if (contentType !== 'application/json') return 'The data must be sent as application/json';
+  return null;
+}
+
+// Write the posted data over project-data.json, refusing anything that isn't project data from
+// this server's own pages
+async function save(request, response) {
+  const rejection = rejectSave(request);
+  if (rejection) {
+    response.writeHead(403).end(rejection);
+    return;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(await readBody(request));
+  } catch (error) {
+    response.writeHead(400).end(`Not valid JSON: ${error.message}`);
+    return;
+  }
+  if (!data || !Array.isArray(data.projects)) {
+    response.writeHead(400).end('The data has no "projects" array');
+    return;
+  }
+
+  await writeFile(dataFile, `${JSON.stringify(data, null, 2)}\n`);
+  response.writeHead(204).end();
+}
+
+// Serve a file from this directory, never from above it, and never a hidden file or folder
+// such as .git
+async function serve(request, response) {
+  const path = normalize(decodeURIComponent(new URL(request.url, 'http://localhost').pathname));
+  const file = join(root, path.endsWith('/') ? `${path}index.html` : path);
+  if (!file.startsWith(root)) {
+    response.writeHead(403).end();
+    return;
+  }
+  if (path.split(/[\\/]/).some(segment => segment.startsWith('.'))) {
+    response.writeHead(404).end('Not found');
+    return;
+  }
+
+  try {
+    const body = await readFile(file);
+    response.writeHead(200, {
+      'Content-Type': contentTypes[extname(file)] || 'application/octet-stream',
+      'Cache-Control': 'no-store' // Live reload should always see the latest data
+    }).end(body);
+  } catch (error) {
+    response.writeHead(404).end('Not found');
+  }
+}
+
+createServer((request, response) => {
+  const handle = request.method === 'POST' && request.url === '/save' ? save : serve;
+  handle(request, response).catch(error => {
+    console.error(error);
+    response.writeHead(500).end(error.message);
+  });
+}).listen(port, '127.0.0.1', () => {
+  console.log(`Serving ${root} at http://127.0.0.1:${port}/ (edits save to ${dataFile} via POST /save)`);
+});
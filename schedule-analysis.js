@@ -0,0 +1,185 @@
+// Schedule analysis over the connections, read as dependencies: the projects in dependency
+// order, the critical path (the chain of connected projects covering the longest stretch of
+// calendar time, from the first one's start to the last one's end) and, for every link, the
+// handoff lag between the source ending and the target starting.
+// Links that close a cycle have no order to them, so they're reported but not followed.
+
+// Days between two dates, rounded to whole days (so daylight-saving shifts don't show)
+function daysBetween(from, to) {
+  return Math.round((to - from) / 864e5);
+}
+
+// What a link's lag means: the target started before the source ended ("overlap"), the day
+// it ended ("handoff") or some time after ("gap"). A source that's still running has no end
+// to measure from yet ("running", with a lag of null).
+function handoffKind(lagDays) {
+  return lagDays === null ? "running" : lagDays < 0 ? "overlap" : lagDays === 0 ? "handoff" : "gap";
+}
+
+// Analyze the links between the visible nodes.
+// Returns { order (nodes, each after every project it depends on), cycleLinks, criticalPath
+// ({ nodes, links, startDate, endDate, days }, or null with no visible nodes), handoffs ([{
+// link, lagDays, kind, ongoingSource }], the most overlapping first and those from projects
+// still running last) }.
+function analyzeSchedule(nodes, isVisible = () => true) {
+  const shown = nodes.filter(isVisible);
+  const linksOf = node => node.sourceLinks.filter(link => isVisible(link.target));
+  const incoming = new Map(shown.map(node => [node, node.targetLinks.filter(link => isVisible(link.source)).length]));
+
+  // Kahn's algorithm, taking ready projects by start date so the order reads chronologically
+  const byStart = (a, b) => a.startDate - b.startDate || a.name.localeCompare(b.name);
+  const ready = shown.filter(node => incoming.get(node) === 0).sort(byStart);
+  const order = [];
+  while (ready.length > 0) {
+    const node = ready.shift();
+    order.push(node);
+    linksOf(node).forEach(link => {
+      incoming.set(link.target, incoming.get(link.target) - 1);
+      if (incoming.get(link.target) === 0) {
+        ready.push(link.target);
+        ready.sort(byStart);
+      }
+    });
+  }
+
+  // Whatever is left is on or behind a cycle
+  const ordered = new Set(order);
+  const cycleLinks = shown
+    .filter(node => !ordered.has(node))
+    .flatMap(node => linksOf(node).filter(link => !ordered.has(link.target)));
+
+  // The chain ending at each project that starts earliest, and so spans the most time
+  const chainStart = new Map();
+  const previous = new Map();
+  order.forEach(node => {
+    if (!chainStart.has(node)) chainStart.set(node, node.startDate);
+    linksOf(node).forEach(link => {
+      const start = chainStart.get(node);
+      const current = chainStart.has(link.target) ? chainStart.get(link.target) : link.target.startDate;
+      if (start < current) {
+        chainStart.set(link.target, start);
+        previous.set(link.target, link);
+      }
+    });
+  });
+
+  let criticalPath = null;
+  const last = order.reduce((best, node) =>
+    !best || node.endDate - chainStart.get(node) > best.endDate - chainStart.get(best) ? node : best, null);
+  if (last) {
+    const pathNodes = [last];
+    const pathLinks = [];
+    for (let link = previous.get(last); link; link = previous.get(link.source)) {
+      pathLinks.unshift(link);
+      pathNodes.unshift(link.source);
+    }
+    criticalPath = {
+      nodes: pathNodes,
+      links: pathLinks,
+      startDate: pathNodes[0].startDate,
+      endDate: last.endDate,
+      days: daysBetween(pathNodes[0].startDate, last.endDate)
+    };
+  }
+
+  const handoffs = shown
+    .flatMap(linksOf)
+    .map(link => {
+      // An ongoing project's endDate is only today (or the as-of date), not when it ends
+      const ongoingSource = !link.source.hasDefinedEndDate;
+      const lagDays = ongoingSource ? null : daysBetween(link.source.endDate, link.target.startDate);
+      return { link, lagDays, kind: handoffKind(lagDays), ongoingSource };
+    })
+    .sort((a, b) => (a.lagDays === null) - (b.lagDays === null) || a.lagDays - b.lagDays);
+
+  return { order, cycleLinks, criticalPath, handoffs };
+}
+
+// Fill `container` with the analysis: the critical path, then a table of every link's handoff.
+// options: { dateFormat, onSelect(node) (called when a project's name is activated) }.
+function renderScheduleReport(container, analysis, options) {
+  const { dateFormat, onSelect } = options;
+  const { criticalPath, handoffs, cycleLinks } = analysis;
+  container.innerHTML = '';
+
+  const projectButton = node => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'data-table-select';
+    button.textContent = node.name;
+    button.addEventListener('click', () => onSelect(node));
+    return button;
+  };
+
+  const heading = document.createElement('h4');
+  heading.textContent = 'Critical path';
+  container.appendChild(heading);
+
+  const summary = document.createElement('p');
+  if (!criticalPath || criticalPath.links.length === 0) {
+    summary.textContent = 'No connected projects to follow.';
+    container.appendChild(summary);
+  } else {
+    summary.textContent = `${criticalPath.nodes.length} projects from ${dateFormat(criticalPath.startDate)} to ` +
+      `${dateFormat(criticalPath.endDate)} (${criticalPath.days} days)`;
+    container.appendChild(summary);
+
+    const list = document.createElement('ol');
+    list.className = 'critical-path-list';
+    criticalPath.nodes.forEach(node => {
+      const item = document.createElement('li');
+      item.appendChild(projectButton(node));
+      item.appendChild(document.createTextNode(` ${dateFormat(node.startDate)} – ${dateFormat(node.endDate)}`));
+      list.appendChild(item);
+    });
+    container.appendChild(list);
+  }
+
+  if (cycleLinks.length > 0) {
+    const note = document.createElement('p');
+    note.textContent = `Left out: ${cycleLinks.length} link${cycleLinks.length === 1 ? '' : 's'} in a cycle ` +
+      `(${cycleLinks.map(link => `${link.source.name} → ${link.target.name}`).join(', ')}).`;
+    container.appendChild(note);
+  }
+
+  if (handoffs.length === 0) return;
+
+  const table = document.createElement('table');
+  table.className = 'data-table handoff-table';
+  table.createCaption().textContent = 'Handoffs, most overlapping first';
+
+  const headerRow = table.createTHead().insertRow();
+  ['From', 'To', 'From ends', 'To starts', 'Lag (days)', 'Handoff'].forEach(heading => {
+    const th = document.createElement('th');
+    th.scope = 'col';
+    th.textContent = heading;
+    headerRow.appendChild(th);
+  });
+
+  const critical = new Set(criticalPath ? criticalPath.links : []);
+  const body = table.createTBody();
+  handoffs.forEach(({ link, lagDays, kind, ongoingSource }) => {
+    const row = body.insertRow();
+    row.classList.add(`handoff-${kind}`);
+    row.classList.toggle('critical', critical.has(link));
+
+    const from = document.createElement('th');
+    from.scope = 'row';
+    from.appendChild(projectButton(link.source));
+    row.appendChild(from);
+    row.insertCell().appendChild(projectButton(link.target));
+
+    [
+      ongoingSource ? 'Still running' : dateFormat(link.source.endDate),
+      dateFormat(link.target.startDate),
+      lagDays === null ? '–' : lagDays > 0 ? `+${lagDays}` : `${lagDays}`,
+      kind === 'running' ? 'Source still running'
+        : kind === 'overlap' ? `Overlap: started ${-lagDays} days early` : kind === 'gap' ? 'Gap' : 'Handoff'
+    ].forEach(text => {
+      row.insertCell().textContent = text;
+    });
+  });
+  container.appendChild(table);
+}
+
+export { analyzeSchedule, renderScheduleReport };
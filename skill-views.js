@@ -0,0 +1,321 @@
+import { categoryOrder, categoryOf } from './project-filters.js';
+import { stackLinks } from './link-stacking.js';
+import { paletteScale } from './themes.js';
+
+// Aggregate views of the projects' skills, drawn in a panel under the chart: how many active
+// projects used each skill month by month (a streamgraph), which skills are used together (a
+// chord diagram), and how skills flow into project categories (a Sankey). Every element stands
+// for a set of projects, and picking it hands back the filters that show those projects.
+
+// The views, as offered in the control panel
+const skillViews = ["none", "timeline", "pairs", "flow"];
+
+// Number of projects using each skill in each month they're active.
+// Returns { skills, rows: [{ month, end, counts: Map from skill to count }] }.
+function monthlySkillCounts(d3, nodes) {
+  const skills = Array.from(new Set(nodes.flatMap(node => node.skills))).sort();
+  if (nodes.length === 0) return { skills, rows: [] };
+
+  const start = d3.timeMonth.floor(d3.min(nodes, node => node.startDate));
+  const end = d3.timeMonth.offset(d3.timeMonth.floor(d3.max(nodes, node => node.endDate)), 1);
+
+  const rows = d3.timeMonth.range(start, end).map(month => {
+    const monthEnd = d3.timeMonth.offset(month, 1);
+    const counts = new Map(skills.map(skill => [skill, 0]));
+    nodes
+      .filter(node => node.startDate < monthEnd && node.endDate >= month)
+      .forEach(node => node.skills.forEach(skill => counts.set(skill, counts.get(skill) + 1)));
+    return { month, end: monthEnd, counts };
+  });
+
+  return { skills, rows };
+}
+
+// Square matrix of how many projects use each pair of skills together (the diagonal is 0)
+function skillPairMatrix(nodes, skills) {
+  const index = new Map(skills.map((skill, i) => [skill, i]));
+  const matrix = skills.map(() => skills.map(() => 0));
+
+  nodes.forEach(node => {
+    const used = Array.from(new Set(node.skills)).filter(skill => index.has(skill));
+    used.forEach(a => used.forEach(b => {
+      if (a !== b) matrix[index.get(a)][index.get(b)] += 1;
+    }));
+  });
+
+  return matrix;
+}
+
+// Skills and categories as a two-column graph: a link from each skill to each category with
+// the number of projects in that category using the skill.
+// Returns { nodes: [{ id, name, kind ("skill" or "category") }], links: [{ source, target, value }] }.
+function skillCategoryFlows(nodes) {
+  const counts = new Map();
+  nodes.forEach(node => {
+    Array.from(new Set(node.skills)).forEach(skill => {
+      const key = `${skill}\u0000${categoryOf(node)}`;
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+  });
+
+  const rank = category => categoryOrder.includes(category) ? categoryOrder.indexOf(category) : categoryOrder.length;
+  const skills = Array.from(new Set(nodes.flatMap(node => node.skills))).sort();
+  const categories = Array.from(new Set(nodes.filter(node => node.skills.length > 0).map(categoryOf)))
+    .sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+
+  const flowNodes = [
+    ...skills.map(name => ({ id: `skill:${name}`, name, kind: "skill" })),
+    ...categories.map(name => ({ id: `category:${name}`, name, kind: "category" }))
+  ];
+  const byId = new Map(flowNodes.map(node => [node.id, node]));
+  const links = Array.from(counts, ([key, value]) => {
+    const [skill, category] = key.split("\u0000");
+    return { source: byId.get(`skill:${skill}`), target: byId.get(`category:${category}`), value };
+  });
+
+  return { nodes: flowNodes, links };
+}
+
+// Draw one of the views into `container`, replacing what was there.
+// options: { width, height, palette (a palette name from themes.js), onPick(filters) (called
+// with the createFilters facets that show the projects behind a clicked element) }.
+function renderSkillView(d3, container, view, nodes, options) {
+  container.innerHTML = '';
+  if (view === "none") return;
+
+  const { width, height = 260, palette = "spectral", onPick } = options;
+  const skills = Array.from(new Set(nodes.flatMap(node => node.skills))).sort();
+  const color = paletteScale(d3, palette, skills);
+
+  if (skills.length === 0) {
+    container.textContent = 'None of the projects list any skills.';
+    return;
+  }
+
+  const svg = d3.select(container).append("svg")
+    .attr("class", "skill-view")
+    .attr("width", width)
+    .attr("height", height)
+    .attr("font-family", "Arial, sans-serif")
+    .attr("font-size", 11);
+
+  // Elements stand for sets of projects: clicking one (or pressing Enter on it) filters to them
+  const pickable = (selection, label, filters) => selection
+    .attr("class", "skill-view-pick")
+    .attr("tabindex", 0)
+    .attr("role", "button")
+    .attr("aria-label", label)
+    .style("cursor", "pointer")
+    .on("click", (event, d) => onPick(filters(d)))
+    .on("keydown", (event, d) => {
+      if (event.key === "Enter" || event.key === " ") {
+        event.preventDefault();
+        onPick(filters(d));
+      }
+    })
+    .call(s => s.append("title").text(label));
+
+  if (view === "timeline") {
+    drawSkillTimeline(d3, svg, nodes, { width, height, color, pickable });
+  } else if (view === "pairs") {
+    drawSkillPairs(d3, svg, nodes, skills, { width, height, color, pickable });
+  } else if (view === "flow") {
+    drawSkillFlow(d3, svg, nodes, { width, height, color, pickable });
+  }
+}
+
+// Streamgraph of active projects per skill per month. A layer's band for a month picks the
+// projects using that skill that were active that month.
+function drawSkillTimeline(d3, svg, nodes, { width, height, color, pickable }) {
+  const { skills, rows } = monthlySkillCounts(d3, nodes);
+  const margin = { top: 10, right: 160, bottom: 24, left: 10 };
+
+  const series = d3.stack()
+    .keys(skills)
+    .value((row, skill) => row.counts.get(skill))
+    .offset(d3.stackOffsetWiggle)
+    .order(d3.stackOrderInsideOut)(rows);
+
+  const x = d3.scaleTime()
+    .domain([rows[0].month, rows[rows.length - 1].end])
+    .range([margin.left, width - margin.right]);
+  const y = d3.scaleLinear()
+    .domain([d3.min(series, s => d3.min(s, d => d[0])), d3.max(series, s => d3.max(s, d => d[1]))])
+    .range([height - margin.bottom, margin.top]);
+
+  const count = value => `${value} project${value === 1 ? "" : "s"}`;
+
+  // Each month's band is its own shape, so a click picks the skill and the month
+  const monthArea = d3.area()
+    .x((d, i) => x(i === 0 ? d.data.month : d.data.end))
+    .y0(d => y(d[0]))
+    .y1(d => y(d[1]));
+
+  svg.append("g")
+    .selectAll("g")
+    .data(series)
+    .join("g")
+    .attr("fill", s => color(s.key))
+    .selectAll("path")
+    .data(s => s.filter(d => d[1] > d[0]).map(d => ({ skill: s.key, d })))
+    .join("path")
+    .attr("d", ({ d }) => monthArea([d, d]))
+    .attr("fill-opacity", 0.85)
+    .call(pickable, ({ skill, d }) => `${skill}: ${count(d.data.counts.get(skill))} active in ${d3.timeFormat("%b %Y")(d.data.month)}`,
+      ({ skill, d }) => ({ skills: [skill], from: d.data.month, to: d3.timeDay.offset(d.data.end, -1) }));
+
+  svg.append("g")
+    .attr("class", "time-axis")
+    .attr("transform", `translate(0, ${height - margin.bottom})`)
+    .call(d3.axisBottom(x).ticks(Math.max(2, Math.floor((width - margin.right) / 90))));
+
+  drawSkillLegend(d3, svg, skills, color, pickable, width - margin.right + 10, margin.top, height);
+}
+
+// Chord diagram of skills used on the same projects. A skill's arc picks every project using
+// it; a ribbon picks the projects using both of its skills.
+function drawSkillPairs(d3, svg, nodes, skills, { width, height, color, pickable }) {
+  const matrix = skillPairMatrix(nodes, skills);
+  if (d3.sum(matrix, row => d3.sum(row)) === 0) {
+    svg.append("text").attr("x", 10).attr("y", 20).text("No project uses more than one skill.");
+    return;
+  }
+
+  const outer = height / 2 - 40;
+  const inner = outer - 10;
+  const chords = d3.chord().padAngle(0.03).sortSubgroups(d3.descending)(matrix);
+  const g = svg.append("g").attr("transform", `translate(${width / 2}, ${height / 2})`);
+  const count = value => `${value} project${value === 1 ? "" : "s"}`;
+
+  g.append("g")
+    .selectAll("path")
+    .data(chords)
+    .join("path")
+    .attr("d", d3.ribbon().radius(inner))
+    .attr("fill", d => color(skills[d.source.index]))
+    .attr("fill-opacity", 0.6)
+    .attr("stroke", "#fff")
+    .call(pickable, d => `${skills[d.source.index]} and ${skills[d.target.index]}: ${count(d.source.value)} together`,
+      d => ({ skills: [skills[d.source.index], skills[d.target.index]], skillMatch: "all" }));
+
+  const groups = g.append("g")
+    .selectAll("g")
+    .data(chords.groups)
+    .join("g");
+
+  groups.append("path")
+    .attr("d", d3.arc().innerRadius(inner).outerRadius(outer))
+    .attr("fill", d => color(skills[d.index]))
+    .call(pickable, d => `${skills[d.index]}: used with other skills on ${count(nodes.filter(node => node.skills.includes(skills[d.index]) && node.skills.length > 1).length)}`,
+      d => ({ skills: [skills[d.index]] }));
+
+  groups.append("text")
+    .each(d => { d.angle = (d.startAngle + d.endAngle) / 2; })
+    .attr("dy", "0.35em")
+    .attr("transform", d => `rotate(${d.angle * 180 / Math.PI - 90}) translate(${outer + 5})${d.angle > Math.PI ? " rotate(180)" : ""}`)
+    .attr("text-anchor", d => d.angle > Math.PI ? "end" : null)
+    .attr("pointer-events", "none")
+    .text(d => skills[d.index]);
+}
+
+// Sankey from skills on the left to categories on the right, a link's width being the number
+// of projects in the category using the skill
+function drawSkillFlow(d3, svg, nodes, { width, height, color, pickable }) {
+  const graph = skillCategoryFlows(nodes);
+  const margin = { top: 10, bottom: 10, left: 140, right: 120 };
+  const nodeWidth = 12;
+  const padding = 4;
+
+  graph.nodes.forEach(node => {
+    node.sourceLinks = graph.links.filter(link => link.source === node);
+    node.targetLinks = graph.links.filter(link => link.target === node);
+    node.value = d3.sum(node.kind === "skill" ? node.sourceLinks : node.targetLinks, link => link.value);
+  });
+
+  // One scale for both columns, fitting the column that needs the most room
+  const columns = ["skill", "category"].map(kind => graph.nodes.filter(node => node.kind === kind));
+  const ky = d3.min(columns, column =>
+    (height - margin.top - margin.bottom - padding * (column.length - 1)) / d3.sum(column, node => node.value));
+
+  columns.forEach((column, i) => {
+    let y = margin.top;
+    column.forEach(node => {
+      node.x0 = i === 0 ? margin.left : width - margin.right - nodeWidth;
+      node.x1 = node.x0 + nodeWidth;
+      node.y0 = y;
+      node.y1 = y + Math.max(1, node.value * ky);
+      y = node.y1 + padding;
+    });
+  });
+  graph.links.forEach(link => { link.width = link.value * ky; });
+  stackLinks(graph);
+
+  const linkPath = link => {
+    const x0 = link.source.x1;
+    const x1 = link.target.x0;
+    const mid = (x0 + x1) / 2;
+    return `M${x0},${link.y0}C${mid},${link.y0} ${mid},${link.y1} ${x1},${link.y1}`;
+  };
+  const count = value => `${value} project${value === 1 ? "" : "s"}`;
+
+  svg.append("g")
+    .attr("fill", "none")
+    .selectAll("path")
+    .data(graph.links)
+    .join("path")
+    .attr("d", linkPath)
+    .attr("stroke", link => color(link.source.name))
+    .attr("stroke-opacity", 0.4)
+    .attr("stroke-width", link => Math.max(1, link.width))
+    .call(pickable, link => `${link.source.name} → ${link.target.name}: ${count(link.value)}`,
+      link => ({ skills: [link.source.name], categories: [link.target.name] }));
+
+  svg.append("g")
+    .selectAll("rect")
+    .data(graph.nodes)
+    .join("rect")
+    .attr("x", node => node.x0)
+    .attr("y", node => node.y0)
+    .attr("width", nodeWidth)
+    .attr("height", node => node.y1 - node.y0)
+    .attr("fill", node => node.kind === "skill" ? color(node.name) : "#999")
+    .call(pickable, node => `${node.kind === "skill" ? "Skill" : "Category"} ${node.name}: ${count(node.value)}`,
+      node => node.kind === "skill" ? { skills: [node.name] } : { categories: [node.name] });
+
+  svg.append("g")
+    .attr("pointer-events", "none")
+    .selectAll("text")
+    .data(graph.nodes)
+    .join("text")
+    .attr("x", node => node.kind === "skill" ? node.x0 - 6 : node.x1 + 6)
+    .attr("y", node => (node.y0 + node.y1) / 2)
+    .attr("dy", "0.35em")
+    .attr("text-anchor", node => node.kind === "skill" ? "end" : "start")
+    .text(node => node.name);
+}
+
+// Legend of skill colors; clicking a skill picks every project using it
+function drawSkillLegend(d3, svg, skills, color, pickable, x, y, height) {
+  const rowHeight = Math.min(14, (height - y) / skills.length);
+
+  const entries = svg.append("g")
+    .attr("transform", `translate(${x}, ${y})`)
+    .selectAll("g")
+    .data(skills)
+    .join("g")
+    .attr("transform", (skill, i) => `translate(0, ${i * rowHeight})`)
+    .call(pickable, skill => `${skill}: show every project using it`, skill => ({ skills: [skill] }));
+
+  entries.append("rect")
+    .attr("width", 10)
+    .attr("height", Math.max(2, rowHeight - 4))
+    .attr("fill", skill => color(skill));
+
+  entries.append("text")
+    .attr("x", 14)
+    .attr("y", Math.max(2, rowHeight - 4) / 2)
+    .attr("dy", "0.35em")
+    .text(skill => skill);
+}
+
+export { skillViews, monthlySkillCounts, skillPairMatrix, skillCategoryFlows, renderSkillView };
@@ -0,0 +1,79 @@
+// Who works on what: the optional top-level `people: [{ id, name }]` list and each project's
+// `assignees: [{ person, allocation }]` (allocation in percent of a person's time, 100 when
+// left out; a plain person id works too), and the weekly load they add up to.
+
+// Colors for people, in the order they're listed
+const personColors = ["#4e79a7", "#f28e2c", "#59a14f", "#e15759", "#76b7b2", "#edc949", "#af7aa1", "#ff9da7", "#9c755f", "#bab0ab"];
+
+// An assignee's allocation as a number of percent ("50%" reads as 50), or null when it isn't a
+// positive number
+function parseAllocation(value) {
+  const allocation = parseFloat(value);
+  return allocation > 0 && isFinite(allocation) ? allocation : null;
+}
+
+// A project's assignees as [{ person, allocation }], skipping entries without a person and
+// using 100% for an allocation that's missing or isn't a positive number
+function parseAssignees(project) {
+  if (!Array.isArray(project.assignees)) return [];
+
+  return project.assignees
+    .map(entry => typeof entry === "string" ? { person: entry } : entry)
+    .filter(entry => entry && entry.person != null && String(entry.person).trim() !== "")
+    .map(entry => {
+      const allocation = parseAllocation(entry.allocation);
+      return { person: String(entry.person).trim(), allocation: allocation === null ? 100 : allocation };
+    });
+}
+
+// Everyone on the team as [{ id, name, color }]: the people list, then anyone assigned to a
+// project without being listed (named by their id)
+function teamMembers(people, projects) {
+  const members = new Map();
+  const add = (id, name) => {
+    if (!members.has(id)) members.set(id, { id, name, color: personColors[members.size % personColors.length] });
+  };
+
+  (Array.isArray(people) ? people : [])
+    .filter(person => person && person.id != null)
+    .forEach(person => add(String(person.id), person.name ? String(person.name) : String(person.id)));
+  projects.forEach(project => parseAssignees(project).forEach(({ person }) => add(person, person)));
+
+  return Array.from(members.values());
+}
+
+// Working days (Monday to Friday) from `start` up to but not including `end`
+function workingDays(d3, start, end) {
+  return d3.timeDay.range(start, end).filter(day => day.getDay() !== 0 && day.getDay() !== 6).length;
+}
+
+// Each person's load, week by week from the week holding `start` to the one holding `end`.
+// A project adds its assignees' allocations for the share of the week's five working days it
+// runs, counting its end day, so a full-time project running Monday to Friday reads as 100%
+// and one ending on a Wednesday adds 60% to that week.
+// Returns [{ start, end, loads (Map from person id to percent), total, overloaded (ids over
+// 100%) }].
+function weeklyLoad(d3, nodes, start, end) {
+  return d3.timeWeek.range(d3.timeWeek.floor(start), end).map(weekStart => {
+    const weekEnd = d3.timeWeek.offset(weekStart, 1);
+    const loads = new Map();
+
+    nodes.forEach(node => {
+      const from = new Date(Math.max(node.startDate, weekStart));
+      const to = new Date(Math.min(d3.timeDay.offset(node.endDate, 1), weekEnd));
+      const days = from < to ? workingDays(d3, from, to) : 0;
+      if (days === 0) return;
+
+      const share = days / 5;
+      node.assignees.forEach(({ id, allocation }) => {
+        loads.set(id, (loads.get(id) || 0) + allocation * share);
+      });
+    });
+
+    // Allow for rounding, so two half-time projects don't count as overloaded
+    const overloaded = Array.from(loads).filter(([, load]) => load > 100.5).map(([id]) => id);
+    return { start: weekStart, end: weekEnd, loads, total: d3.sum(loads.values()), overloaded };
+  });
+}
+
+export { parseAllocation, parseAssignees, teamMembers, weeklyLoad };
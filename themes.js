@@ -0,0 +1,197 @@
+import { categoryOrder, categoryOf, phaseOf } from './project-filters.js';
+
+// Color themes, palettes and what the project colors stand for.
+// A theme sets the colors the chart draws that aren't project colors: text, lanes, the overview
+// strip and the faded end of each bar (the stylesheet's theme classes cover the rest). A palette
+// and a "color by" attribute set the project colors.
+// Colors are picked by hashing a project's id (or the value it's colored by), so a project keeps
+// its color when others are added or removed.
+
+const themes = {
+  light: {
+    label: "Light",
+    background: "#fff",
+    text: "#333",
+    strongText: "#000", // Highlighted labels
+    mutedText: "#555",
+    grid: "#ddd",
+    connector: "#ccc", // Leader lines from labels to their bars
+    connectorHighlight: "#999",
+    nodeFade: "#f8f8f8", // The end of each bar's gradient
+    laneBands: ["#f7f9fb", "#ffffff"],
+    overview: "#fafafa"
+  },
+  dark: {
+    label: "Dark",
+    background: "#1e1f22",
+    text: "#ddd",
+    strongText: "#fff",
+    mutedText: "#aaa",
+    grid: "#444",
+    connector: "#555",
+    connectorHighlight: "#888",
+    nodeFade: "#2b2d31",
+    laneBands: ["#25272b", "#1e1f22"],
+    overview: "#26282c"
+  }
+};
+
+// Palettes are d3 interpolators or schemes (looked up on the d3 passed in) or lists of colors
+const palettes = {
+  spectral: { label: "Spectral", interpolator: "interpolateSpectral" },
+  tableau: { label: "Tableau 10", scheme: "schemeTableau10" },
+  okabeIto: {
+    label: "Okabe-Ito (colorblind-safe)",
+    colors: ["#e69f00", "#56b4e9", "#009e73", "#f0e442", "#0072b2", "#d55e00", "#cc79a7", "#999999"]
+  },
+  viridis: { label: "Viridis (colorblind-safe)", interpolator: "interpolateViridis" },
+  cividis: { label: "Cividis (colorblind-safe)", interpolator: "interpolateCividis" }
+};
+
+// Shown for projects colored by a custom color they don't have
+const noColor = "#bbb";
+
+// Attributes projects can be colored by, as [value, label, key(node)]. Projects colored by
+// "project" each get their own color and have no legend; "custom" uses each project's `color`.
+const colorByOptions = [
+  ["project", "Project", null],
+  ["category", "Category", categoryOf],
+  ["skill", "First skill", node => node.skills[0] || "No skills"],
+  ["phase", "Phase", phaseOf],
+  ["status", "Status", node => node.overdue ? "Overdue" : node.hasDefinedEndDate ? "Finished" : "Ongoing"],
+  ["custom", "Color field", null]
+];
+
+// Legend order for each attribute's values; anything else is sorted alphabetically
+const valueOrders = {
+  category: categoryOrder,
+  status: ["Finished", "Ongoing", "Overdue"]
+};
+
+// A 32-bit FNV-1a hash of a string, mixed so that ids differing only in their last character
+// ("project-1", "project-2") still land far apart
+function hashString(text) {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+}
+
+// The palette's distinct colors; interpolators are sampled at ten evenly spaced points
+function paletteColors(d3, palette) {
+  if (palette.colors) return palette.colors;
+  if (palette.scheme) return d3[palette.scheme];
+  return d3.quantize(d3[palette.interpolator], 10);
+}
+
+// The color for one project of its own: anywhere along an interpolator, or one of the
+// scheme's colors
+function projectColor(d3, palette, id) {
+  const hash = hashString(String(id));
+  if (palette.interpolator) return d3[palette.interpolator](hash / 2 ** 32);
+  const colors = paletteColors(d3, palette);
+  return colors[hash % colors.length];
+}
+
+// An ordinal scale giving each of `values` a color from the palette: spread evenly along an
+// interpolator, or the scheme's colors in turn
+function paletteScale(d3, paletteName, values) {
+  const palette = palettes[paletteName] || palettes.spectral;
+  const colors = palette.interpolator
+    ? d3.quantize(d3[palette.interpolator], Math.max(2, values.length))
+    : paletteColors(d3, palette);
+  return d3.scaleOrdinal(values, colors);
+}
+
+// Set node.color on every node and return the legend, as [{ label, color, count }] (empty when
+// each project has its own color).
+// Values colored by an attribute take the palette color their hash points to, or the next one
+// free if an earlier value in legend order has it, while there are colors to go round.
+function colorNodes(d3, nodes, colorBy = "project", paletteName = "spectral") {
+  const palette = palettes[paletteName] || palettes.spectral;
+  const option = colorByOptions.find(([value]) => value === colorBy) || colorByOptions[0];
+
+  if (option[0] === "project") {
+    nodes.forEach(node => { node.color = projectColor(d3, palette, node.id); });
+    return [];
+  }
+
+  if (option[0] === "custom") {
+    nodes.forEach(node => {
+      node.color = node.customColor && d3.color(node.customColor) ? node.customColor : noColor;
+    });
+    const names = colored => colored.length > 3
+      ? `${colored.slice(0, 3).map(node => node.name).join(", ")} and ${colored.length - 3} more`
+      : colored.map(node => node.name).join(", ");
+    const legend = d3.groups(nodes, node => node.color === noColor ? null : node.color)
+      .map(([color, colored]) => ({
+        label: color === null ? "No color set" : names(colored),
+        color: color || noColor,
+        count: colored.length
+      }));
+    // Custom colors first, in the order they first appear
+    return legend.filter(entry => entry.color !== noColor).concat(legend.filter(entry => entry.color === noColor));
+  }
+
+  const keyOf = option[2];
+  const order = valueOrders[option[0]] || [];
+  const rank = value => order.includes(value) ? order.indexOf(value) : order.length;
+  const values = Array.from(new Set(nodes.map(keyOf)))
+    .sort((a, b) => rank(a) - rank(b) || String(a).localeCompare(String(b)));
+
+  const colors = paletteColors(d3, palette);
+  const taken = new Set();
+  const colorOf = new Map(values.map(value => {
+    let slot = hashString(String(value)) % colors.length;
+    if (taken.size < colors.length) {
+      while (taken.has(slot)) slot = (slot + 1) % colors.length;
+    }
+    taken.add(slot);
+    return [value, colors[slot]];
+  }));
+
+  nodes.forEach(node => { node.color = colorOf.get(keyOf(node)); });
+  return values.map(value => ({
+    label: value,
+    color: colorOf.get(value),
+    count: nodes.filter(node => keyOf(node) === value).length
+  }));
+}
+
+// Fill `container` with a legend from colorNodes: a swatch for each value with its number of
+// projects, or a note when every project has its own color
+function renderColorLegend(container, legend) {
+  container.innerHTML = '';
+  if (legend.length === 0) {
+    container.textContent = 'Each project has its own color.';
+    return;
+  }
+
+  legend.forEach(({ label, color, count }) => {
+    const entry = document.createElement('div');
+    entry.className = 'color-legend-entry';
+
+    const swatch = document.createElement('span');
+    swatch.className = 'color-swatch';
+    swatch.style.backgroundColor = color;
+
+    entry.appendChild(swatch);
+    entry.appendChild(document.createTextNode(`${label} (${count})`));
+    container.appendChild(entry);
+  });
+}
+
+// Whether the page asks for a dark color scheme
+function prefersDark() {
+  return typeof window !== 'undefined' && !!window.matchMedia &&
+    window.matchMedia('(prefers-color-scheme: dark)').matches;
+}
+
+export { themes, palettes, colorByOptions, paletteScale, colorNodes, renderColorLegend, prefersDark };
@@ -1,101 +1,580 @@
-// Initialize the visualization once the page has loaded
-document.addEventListener('DOMContentLoaded', async () => {
-  try {
-    // Constants
-    const width = window.innerWidth - 20;
-    let height = Math.max(100, window.innerHeight - 150);
-    // Set up margins for the SVG
-    const margin = {
-      top: 30,
-      right: 400, // Increased right margin to make room for the info panel
-      bottom: 50, 
-      left: 100    // Increased left margin to make room for project labels
-    };
-    const duration = 500;
-    
-    // Load D3.js
-    const d3 = await import('https://cdn.jsdelivr.net/npm/d3@6/+esm');
+import { createControlPanel, createInfoPanel } from './control-panel.js';
+import { loadProjectData, loadProjectFiles, watchProjectData } from './data-loaders.js';
+import { validateProjectData, renderValidationReport } from './data-validation.js';
+import { measureDuration, formatDuration, checkDeclaredDuration, describeEnd } from './project-duration.js';
+import { exportView, downloadBlob } from './export-view.js';
+import { buildAnimationSchedule, scheduleProgress, scheduleDateAt, scheduleTimeAt } from './animation-timeline.js';
+import { recordAnimation } from './record-animation.js';
+import { categoryOrder, categoryOf, phaseOf, phaseNumber, createFilters, matchesFilters, isFiltering, facetOptions, facetCounts, describeFilters } from './project-filters.js';
+import { encodeViewState, decodeViewState, isGradualChange } from './view-state.js';
+import { traceLineage, lineageLevels } from './lineage.js';
+import { defaultLinkWidth, createLinkWidthScale, linkTypeDashes, linkTitle, legendValues } from './link-weights.js';
+import { nodeFlowHeight, stackLinks } from './link-stacking.js';
+import { nodeAriaLabel, arrowKeyTarget, renderDataTable } from './accessibility.js';
+import { parseSchedule, phaseStops, phaseDividers } from './project-phases.js';
+import { parseAssignees, teamMembers, weeklyLoad } from './team-load.js';
+import { renderSkillView } from './skill-views.js';
+import { analyzeSchedule, renderScheduleReport } from './schedule-analysis.js';
+import { createTextMeasurer, placeLabels } from './node-labels.js';
+import { themes, colorNodes, renderColorLegend, prefersDark } from './themes.js';
+import { applyProjectEdit, createEditHistory, renderProjectForm, serializeProjectData, saveProjectData } from './project-editor.js';
+
+// Number of charts created so far, used to keep each chart's element ids unique on the page
+let instanceCount = 0;
+
+// Charts narrower than this (px) switch to the narrow-screen layout
+const narrowWidth = 700;
+// How long resizing has to pause (ms) before the chart is redrawn at its new size
+const resizeDelay = 150;
+// How long a finger has to rest on a bar (ms) to show its tooltip
+const longPressDelay = 500;
+
+// Create a timeline Sankey chart inside `container` from project data ({ projects, connections }).
+// The chart builds its own data-quality report, control panel and info panel, and keeps all of
+// its state to itself, so several charts can share a page.
+// options: { d3 (loaded from the CDN if not given), width, height, margin, duration (transition ms),
+//            layoutMode, durationUnit, title (used in exports), fileDrop (false to stop files
+//            dropped on the chart from replacing its data), source ({ url, connectionsUrl } the
+//            data was loaded from, for live reload), liveReload (true to start polling source),
+//            reloadInterval (ms between polls), hashState (true to keep the view in the page's
+//            URL hash; only one chart on a page should), linkWidth ({ scale ("linear", "sqrt"
+//            or "log"), min, max } in px), valueLabel (what a connection's value measures),
+//            nodeSizing ("fixed", or "flow" for nodes as tall as their stacked links), asOf
+//            (YYYY-MM-DD date to show the timeline as it stood on; today by default), skillView
+//            ("timeline", "pairs" or "flow" to show a skill analytics view under the chart),
+//            saveUrl (endpoint edit mode's Save button POSTs the edited data to as JSON),
+//            colorBy, palette and theme (see themes.js; the theme follows the browser's color
+//            scheme by default) }
+// Resolves to an instance with update(data), select(id), filter(criteria), liveReload(enabled),
+// on(type, callback) and destroy(). Event types (d3.dispatch, so "select.name" namespaces work):
+// "select" (node or null), "filter" (checked skills, then every facet), "zoom" ([start, end]
+// dates on screen), "layout" (layout mode) and "edit" (an edit made in edit mode, then the
+// edited data; see project-editor.js).
+async function createTimelineSankey(container, data, options = {}) {
+  const d3 = options.d3 || await import('https://cdn.jsdelivr.net/npm/d3@6/+esm');
+  const idPrefix = `timeline-sankey-${++instanceCount}`;
+  const events = d3.dispatch("select", "filter", "zoom", "layout", "edit");
+  
+  // Set up margins for the SVG. Without options.margin, the left and right margins are fitted
+  // to the project labels and the chart's width each time it's drawn.
+  const margin = options.margin || {
+    top: 30,
+    right: 400, // Increased right margin to make room for the info panel
+    bottom: 50, 
+    left: 100    // Increased left margin to make room for project labels
+  };
+  const duration = options.duration !== undefined ? options.duration : 500;
+  
+  // Build the chart's own DOM: data-quality report, then the control panel beside the chart
+  const root = document.createElement('div');
+  root.className = 'timeline-sankey';
+  
+  const reportElement = document.createElement('div');
+  reportElement.className = 'validation-report-container';
+  root.appendChild(reportElement);
+  
+  const body = document.createElement('div');
+  body.className = 'timeline-sankey-body';
+  root.appendChild(body);
+  
+  const controls = createControlPanel(body, idPrefix);
+  controls.layoutSelect.value = options.layoutMode || "stacked";
+  controls.durationUnitSelect.value = options.durationUnit || "weeks";
+  const linkWidth = { ...defaultLinkWidth, ...options.linkWidth };
+  controls.linkScaleSelect.value = linkWidth.scale;
+  controls.linkMinInput.value = linkWidth.min;
+  controls.linkMaxInput.value = linkWidth.max;
+  controls.nodeSizingSelect.value = options.nodeSizing || "fixed";
+  controls.asOfInput.value = options.asOf || "";
+  controls.skillViewSelect.value = options.skillView || "none";
+  controls.colorBySelect.value = options.colorBy || "project";
+  controls.paletteSelect.value = options.palette || "spectral";
+  controls.themeSelect.value = options.theme || (prefersDark() ? "dark" : "light");
+  
+  const chartElement = document.createElement('div');
+  chartElement.className = 'timeline-visualization';
+  body.appendChild(chartElement);
+  const infoPanel = createInfoPanel(chartElement);
+  
+  // A long press on a bar shows its tooltip here, since touch screens don't show SVG titles
+  const touchTooltip = document.createElement('div');
+  touchTooltip.className = 'touch-tooltip';
+  touchTooltip.setAttribute('role', 'tooltip');
+  touchTooltip.hidden = true;
+  chartElement.appendChild(touchTooltip);
+  
+  // The table view lists the same projects as the chart, for screen readers and keyboards
+  const tableElement = document.createElement('div');
+  tableElement.className = 'data-table-view';
+  tableElement.hidden = true;
+  chartElement.appendChild(tableElement);
+  
+  // Skill analytics views sit under the chart
+  const skillViewElement = document.createElement('div');
+  skillViewElement.className = 'skill-view-panel';
+  chartElement.appendChild(skillViewElement);
+  
+  // So does the schedule analysis' critical path and table of handoffs, when it's turned on
+  const scheduleElement = document.createElement('div');
+  scheduleElement.className = 'schedule-analysis-panel';
+  scheduleElement.hidden = true;
+  chartElement.appendChild(scheduleElement);
+  
+  container.appendChild(root);
+  
+  let chart = null;
+  let currentData = data;
+  
+  // Where live reload re-reads the data from: the source URL, or files dropped on the chart
+  // when the browser hands out handles to them. Null when there's nothing to re-read.
+  let loadSource = options.source
+    ? () => loadProjectData(options.source.url, { d3, connectionsUrl: options.source.connectionsUrl })
+    : null;
+  let stopWatching = null;
+  
+  // Dropping project files (JSON, CSV/TSV or a workbook) onto the chart replaces its data
+  if (options.fileDrop !== false) {
+    const carriesFiles = event => Array.from(event.dataTransfer.types).includes('Files');
     
-    // Load data
-    const projectData = await loadProjectData();
+    root.addEventListener('dragover', event => {
+      if (!carriesFiles(event)) return;
+      event.preventDefault();
+      root.classList.add('drop-target');
+    });
+    root.addEventListener('dragleave', event => {
+      if (!root.contains(event.relatedTarget)) {
+        root.classList.remove('drop-target');
+      }
+    });
+    root.addEventListener('drop', event => {
+      if (!carriesFiles(event)) return;
+      event.preventDefault();
+      root.classList.remove('drop-target');
+      
+      // File handles can only be asked for while the drop event is being handled
+      const handles = Array.from(event.dataTransfer.items)
+        .filter(item => item.kind === 'file' && item.getAsFileSystemHandle)
+        .map(item => item.getAsFileSystemHandle());
+      const files = event.dataTransfer.files;
+      
+      loadProjectFiles(d3, files)
+        .then(projectData => {
+          render(projectData);
+          
+          // Watch the dropped files from now on, if they can be re-read
+          loadSource = handles.length === files.length
+            ? () => Promise.all(handles)
+              .then(fileHandles => Promise.all(fileHandles.map(handle => handle.getFile())))
+              .then(droppedFiles => loadProjectFiles(d3, droppedFiles))
+            : null;
+          setLiveReload(!!stopWatching);
+        })
+        .catch(error => {
+          console.error('Error loading dropped files:', error);
+          alert(`The dropped files couldn't be loaded: ${error.message}`);
+        });
+    });
+  }
+  
+  // Validate, lay out and draw project data, replacing the chart drawn before
+  function render(projectData) {
+    currentData = projectData;
+    history.clear(); // Edits to the old data can't be undone onto the new
+    updateEditButtons();
+    draw();
+  }
+  
+  // Lay out and draw the current data at the size the chart has now
+  function draw() {
+    if (chart) chart.destroy();
+    const narrow = updateNarrowLayout();
+    drawnSize = currentSize();
     
-    // Process data
-    const graph = processData(projectData, d3);
+    const width = options.width || chartElement.clientWidth || window.innerWidth - 20;
+    const graph = prepareGraph(currentData);
     
     // Calculate dynamic sizing based on dataset size
     const totalNodes = graph.nodes.length;
-    const dynamicHeight = Math.max(height, 140 + (totalNodes * 28)); 
+    const dynamicHeight = layoutHeight(totalNodes);
+    
+    // The info panel covers the chart's right side, except on narrow screens where it's a sheet
+    // along the bottom. Make room on the left for the labels of projects that start near the
+    // left edge.
+    if (!options.margin) {
+      margin.right = narrow ? 20 : Math.min(400, Math.round(width * 0.3));
+      margin.left = fitLeftMargin(d3, graph, width, margin, createTextMeasurer());
+    }
     
     // Create time scale
     const timeScale = createTimeScale(d3, graph, width, margin);
     
-    // Create layout
-    const layout = createLayout(timeScale, dynamicHeight, margin, totalNodes);
+    // Apply layout to graph. Links are sized first, since they're stacked on the node edges.
+    const layoutMode = controls.layoutSelect.value;
+    sizeLinks(d3, graph, controls);
+    createLayout(timeScale, dynamicHeight, margin, totalNodes, layoutMode, controls.nodeSizingSelect.value)(graph);
     
-    // Apply layout to graph
-    const layoutedGraph = layout(graph);
+    chart = createVisualization(d3, width, dynamicHeight, graph, margin, timeScale, duration, layoutMode, {
+      idPrefix,
+      controls,
+      infoPanel,
+      dataTable: tableElement,
+      skillView: skillViewElement,
+      scheduleReport: scheduleElement,
+      touchTooltip,
+      theme: themes[controls.themeSelect.value],
+      editor: {
+        apply: applyEdit,
+        record: id => currentData.projects.find(project => project.id === id)
+      },
+      events,
+      title: options.title || document.title,
+      valueLabel: options.valueLabel || "Connection strength"
+    });
+    chartElement.appendChild(chart.node);
+  }
+  
+  // Merge reloaded project data into the chart drawn before, keeping its selection and filters
+  function reload(projectData) {
+    currentData = projectData;
+    const graph = prepareGraph(projectData);
+    chart.updateData(graph, layoutHeight(graph.nodes.length));
+  }
+  
+  // Validate data, report any problems and build the graph from the records that can be drawn
+  function prepareGraph(projectData) {
+    const validation = validateProjectData(projectData, d3);
+    renderValidationReport(reportElement, validation);
     
-    // Create visualization with dynamic height
-    const svg = createVisualization(d3, width, dynamicHeight, layoutedGraph, margin, timeScale, duration);
+    const graph = processData(validation.data, d3, {
+      durationUnit: controls.durationUnitSelect.value,
+      asOf: d3.timeParse("%Y-%m-%d")(controls.asOfInput.value),
+      colorBy: controls.colorBySelect.value,
+      palette: controls.paletteSelect.value
+    });
+    renderColorLegend(controls.colorLegend, graph.colorLegend);
+    return graph;
+  }
+  
+  // Narrow screens stack the filter panel above the chart, collapsed until it's opened, and show
+  // the project details as a sheet along the bottom of the screen. Returns whether it's narrow.
+  function updateNarrowLayout() {
+    const narrow = root.clientWidth > 0 && root.clientWidth < narrowWidth;
+    if (narrow && !root.classList.contains('narrow')) setFiltersCollapsed(true);
+    root.classList.toggle('narrow', narrow);
+    return narrow;
+  }
+  
+  function setFiltersCollapsed(collapsed) {
+    controls.panel.classList.toggle('collapsed', collapsed);
+    controls.filterToggle.setAttribute('aria-expanded', String(!collapsed));
+    controls.filterToggle.textContent = collapsed ? 'Show' : 'Hide';
+  }
+  
+  controls.filterToggle.addEventListener('click', () => {
+    setFiltersCollapsed(!controls.panel.classList.contains('collapsed'));
+  });
+  
+  // Redraw when the chart's width or the window's height (which sets the chart's height) changes,
+  // once resizing has paused, keeping the view on screen. Only sizes that differ from the one
+  // drawn count, so the chart growing or shrinking with its data doesn't redraw it again.
+  const currentSize = () => `${root.clientWidth}x${window.innerHeight}`;
+  let drawnSize = null;
+  let resizeTimeout = null;
+  
+  function redraw() {
+    const view = chart.viewState();
+    draw();
+    chart.applyViewState(view);
+  }
+  
+  const resizeObserver = typeof ResizeObserver !== 'undefined' && !(options.width && options.height)
+    ? new ResizeObserver(() => {
+      clearTimeout(resizeTimeout);
+      resizeTimeout = setTimeout(() => {
+        if (currentSize() !== drawnSize) redraw();
+      }, resizeDelay);
+    })
+    : null;
+  
+  // Recoloring the projects is merged in like reloaded data. A theme changes the whole chart and
+  // its panels, so the chart is drawn again, keeping the view.
+  function applyTheme() {
+    Object.keys(themes).forEach(name => root.classList.toggle(`theme-${name}`, name === controls.themeSelect.value));
+  }
+  
+  controls.colorBySelect.addEventListener('change', () => reload(currentData));
+  controls.paletteSelect.addEventListener('change', () => reload(currentData));
+  controls.themeSelect.addEventListener('change', () => {
+    applyTheme();
+    redraw();
+  });
+  applyTheme();
+  
+  // Height to lay out a number of nodes in, growing with the dataset
+  function layoutHeight(totalNodes) {
+    const height = options.height || Math.max(100, window.innerHeight - 150);
+    return Math.max(height, 140 + (totalNodes * 28));
+  }
+  
+  // Start or stop polling the data source; the chart animates in whatever changed
+  function setLiveReload(enabled) {
+    if (stopWatching) {
+      stopWatching();
+      stopWatching = null;
+    }
+    if (enabled && loadSource) {
+      stopWatching = watchProjectData(loadSource, reload, {
+        interval: options.reloadInterval,
+        initial: currentData
+      });
+    }
     
-    // Add to the page
-    document.getElementById('visualization').appendChild(svg);
+    const { liveReloadToggle } = controls;
+    liveReloadToggle.checked = !!stopWatching;
+    liveReloadToggle.disabled = !loadSource;
+    liveReloadToggle.title = loadSource ? '' : 'Nothing to reload: the data was not loaded from a URL or a watchable file';
+  }
+  
+  controls.liveReloadToggle.addEventListener('change', () => setLiveReload(controls.liveReloadToggle.checked));
+  
+  // Changing the as-of date works out again which projects had started and finished by then
+  controls.asOfInput.addEventListener('change', () => reload(currentData));
+  
+  // Edit mode. Edits are checked by the same validation as loaded data, and an edit that would
+  // leave its project or connection out of the chart is turned down. Each edit can be undone.
+  const history = createEditHistory();
+  
+  // Apply an edit (see applyProjectEdit) and redraw; false if it was turned down
+  function applyEdit(edit) {
+    const { data: edited, record } = applyProjectEdit(currentData, edit);
+    const problems = validateProjectData(edited, d3).errors.filter(error => error.record === record);
+    if (problems.length > 0) {
+      controls.editStatus.textContent = `Not changed: ${problems.map(problem => problem.message).join('; ')}`;
+      return false;
+    }
     
-  } catch (error) {
-    console.error('Error initializing visualization:', error);
-    const errorElement = document.createElement('div');
-    errorElement.className = 'error';
-    errorElement.textContent = `Failed to initialize visualization: ${error.message}`;
-    document.getElementById('visualization').appendChild(errorElement);
+    history.record(currentData);
+    showEditedData(edited, edit.type === 'project'
+      ? `Changed ${edit.id}`
+      : `Connected ${edit.source} to ${edit.target}`);
+    events.call('edit', null, edit, edited);
+    return true;
   }
-});
-
-// Load project data from a local file
-async function loadProjectData() {
-  // Add a timestamp to prevent caching
-  const timestamp = new Date().getTime();
-  const response = await fetch(`project-data.json?t=${timestamp}`);
-  if (!response.ok) {
-    throw new Error(`Error loading project data: ${response.statusText}`);
+  
+  function undoEdit() {
+    const previous = history.undo(currentData);
+    if (previous) showEditedData(previous, 'Undone');
+  }
+  
+  function redoEdit() {
+    const next = history.redo(currentData);
+    if (next) showEditedData(next, 'Redone');
+  }
+  
+  function showEditedData(projectData, message) {
+    reload(projectData);
+    updateEditButtons();
+    controls.editStatus.textContent = message;
+  }
+  
+  function updateEditButtons() {
+    controls.undoButton.disabled = !history.canUndo();
+    controls.redoButton.disabled = !history.canRedo();
   }
-  return response.json();
-}
-
-// Extract unique skills from project data
-function extractUniqueSkills(projects) {
-  const skillsSet = new Set();
   
-  projects.forEach(project => {
-    if (project.skills && Array.isArray(project.skills)) {
-      project.skills.forEach(skill => skillsSet.add(skill));
+  // Live reload would replace the edits with the file on disk, so editing turns it off
+  controls.editToggle.addEventListener('change', () => {
+    if (controls.editToggle.checked) setLiveReload(false);
+  });
+  controls.undoButton.addEventListener('click', undoEdit);
+  controls.redoButton.addEventListener('click', redoEdit);
+  root.addEventListener('keydown', event => {
+    const key = event.key.toLowerCase();
+    if (!controls.editToggle.checked || !(event.ctrlKey || event.metaKey) || (key !== 'z' && key !== 'y')) return;
+    if (event.target.closest('input, textarea')) return; // Leave text fields their own undo
+    
+    event.preventDefault();
+    if (key === 'y' || event.shiftKey) {
+      redoEdit();
+    } else {
+      undoEdit();
     }
   });
   
-  return Array.from(skillsSet).sort();
+  controls.downloadButton.addEventListener('click', () => {
+    downloadBlob(new Blob([serializeProjectData(currentData)], { type: 'application/json' }), 'project-data.json');
+  });
+  
+  controls.saveButton.hidden = !options.saveUrl;
+  controls.saveButton.addEventListener('click', () => {
+    controls.saveButton.disabled = true;
+    saveProjectData(options.saveUrl, currentData)
+      .then(() => { controls.editStatus.textContent = 'Saved'; })
+      .catch(error => {
+        console.error('Error saving project data:', error);
+        controls.editStatus.textContent = `Couldn't save: ${error.message}`;
+      })
+      .finally(() => { controls.saveButton.disabled = false; });
+  });
+  
+  render(data);
+  setLiveReload(!!options.liveReload);
+  if (resizeObserver) resizeObserver.observe(root);
+  
+  // Keep the view in the page's URL hash, so it can be shared as a link and the back and
+  // forward buttons step through views. Changes are written shortly after they settle.
+  let hashTimeout = null;
+  let restoringHash = false;
+  
+  function writeHash() {
+    if (restoringHash) return;
+    clearTimeout(hashTimeout);
+    hashTimeout = setTimeout(() => {
+      const hash = encodeViewState(chart.viewState(), d3);
+      if (hash === window.location.hash) return;
+      
+      const url = hash || window.location.pathname + window.location.search;
+      if (isGradualChange(window.location.hash, hash)) {
+        window.history.replaceState(null, '', url);
+      } else {
+        window.history.pushState(null, '', url);
+      }
+    }, 250);
+  }
+  
+  // Go to the view in the hash (on load, back/forward or an edited URL)
+  function readHash() {
+    clearTimeout(hashTimeout);
+    restoringHash = true;
+    chart.applyViewState(decodeViewState(window.location.hash, d3));
+    restoringHash = false;
+  }
+  
+  if (options.hashState) {
+    events.on("select.hash-state filter.hash-state zoom.hash-state layout.hash-state", writeHash);
+    window.addEventListener('hashchange', readHash);
+    readHash();
+  }
+  
+  return {
+    // Redraw the chart from new project data
+    update(projectData) {
+      render(projectData);
+      return this;
+    },
+    // Select a project by id as if it had been clicked; null clears the selection
+    select(id) {
+      chart.selectNode(id);
+      return this;
+    },
+    // Filter the chart: a list of skills shows projects with any of them, an object sets
+    // facets ({ skills, skillMatch, categories, phases, from, to, ongoingOnly, search }).
+    // An empty list or object clears the filters.
+    filter(criteria) {
+      chart.setFilters(Array.isArray(criteria) ? { skills: criteria } : (criteria || {}));
+      return this;
+    },
+    // Start or stop re-reading the data source and animating in changes
+    liveReload(enabled) {
+      setLiveReload(enabled);
+      return this;
+    },
+    on(type, callback) {
+      events.on(type, callback);
+      return this;
+    },
+    // Stop any animation and live reload, and remove the chart and its panels from the page
+    destroy() {
+      setLiveReload(false);
+      clearTimeout(hashTimeout);
+      clearTimeout(resizeTimeout);
+      if (resizeObserver) resizeObserver.disconnect();
+      window.removeEventListener('hashchange', readHash);
+      chart.destroy();
+      root.remove();
+    }
+  };
 }
 
-// Populate the skills filter panel
-function populateSkillsFilter(skills) {
-  const container = document.getElementById('skills-filter-container');
-  if (!container) return;
+// Fill a filter panel container with a checkbox per facet value, each with a match count
+function populateFacetOptions(container, values, labelOf = value => value) {
+  container.innerHTML = '';
   
-  skills.forEach(skill => {
+  values.forEach(value => {
     const checkbox = document.createElement('label');
     checkbox.className = 'skill-checkbox';
     
     const input = document.createElement('input');
     input.type = 'checkbox';
-    input.value = skill;
-    input.id = `skill-${skill.replace(/\s+/g, '-').toLowerCase()}`;
+    input.value = value;
+    
+    const count = document.createElement('span');
+    count.className = 'facet-count';
     
     checkbox.appendChild(input);
-    checkbox.appendChild(document.createTextNode(skill));
+    checkbox.appendChild(document.createTextNode(`${labelOf(value)} `));
+    checkbox.appendChild(count);
     container.appendChild(checkbox);
   });
 }
 
-// Position nodes based on time - all nodes evenly distributed vertically
-function createLayout(timeScale, height, margin, totalNodes) {
+// Swim-lane groupings that createLayout can use instead of one row per project
+const laneModes = {
+  category: {
+    key: categoryOf,
+    compare: (a, b) => laneRank(categoryOrder, a) - laneRank(categoryOrder, b) || a.localeCompare(b)
+  },
+  skill: {
+    key: node => (node.skills && node.skills.length > 0) ? node.skills[0] : "No skills",
+    compare: (a, b) => (a === "No skills") - (b === "No skills") || a.localeCompare(b)
+  },
+  phase: {
+    key: phaseOf,
+    compare: (a, b) => phaseNumber(a) - phaseNumber(b) || a.localeCompare(b)
+  }
+};
+
+// Position of a lane key in a preferred order (unknown keys sort last)
+function laneRank(order, key) {
+  const rank = order.indexOf(key);
+  return rank === -1 ? order.length : rank;
+}
+
+// Rough width of a node label, used to keep packed rows from overlapping labels
+function estimateLabelWidth(node) {
+  return (node.name ? node.name.length : 0) * 6 + 10;
+}
+
+// Pack a lane's nodes into as few rows as possible (greedy interval scheduling).
+// A node fits a row when its label and bar start after the last bar in that row ends.
+function packLaneRows(laneNodes) {
+  const rowEnds = [];
+  
+  laneNodes
+    .slice()
+    .sort((a, b) => a.x0 - b.x0 || a.x1 - b.x1)
+    .forEach(node => {
+      const left = node.x0 - estimateLabelWidth(node);
+      let row = rowEnds.findIndex(end => end <= left);
+      
+      if (row === -1) {
+        row = rowEnds.length;
+        rowEnds.push(0);
+      }
+      
+      // Nodes are drawn at least 5px wide, so reserve that much
+      rowEnds[row] = Math.max(node.x1, node.x0 + 5);
+      node.row = row;
+    });
+  
+  return rowEnds.length;
+}
+
+// Position nodes based on time. The default "stacked" mode gives every node its own row;
+// the swim-lane modes ("category", "skill", "phase") group nodes into labeled lanes.
+// nodeSizing "flow" makes each node as tall as the links stacked on its edges (link widths
+// must be set first); "fixed" gives every node the same height.
+function createLayout(timeScale, height, margin, totalNodes, mode = "stacked", nodeSizing = "fixed") {
   return function(graph) {
     // Define height factors for different categories
     const categoryHeightFactors = {
@@ -111,116 +590,264 @@ function createLayout(timeScale, height, margin, totalNodes) {
     const nodePadding = Math.min(20, Math.max(5, 300 / totalNodes)); // Adjust padding based on total count
     const maxHeight = height - margin.top - margin.bottom; // Reduced extra padding
     
-    // Distribute nodes evenly across the vertical space
-    const nodeCount = graph.nodes.length;
+    // Height of a node: the base height for its category, or enough for its flow. Flow-sized
+    // nodes never get thinner than half the base height, so they stay easy to hover.
+    const nodeHeightOf = node => {
+      const heightFactor = categoryHeightFactors[node.category] || 1.0;
+      return nodeSizing === "flow"
+        ? Math.max(baseNodeHeight / 2, nodeFlowHeight(node))
+        : baseNodeHeight * heightFactor;
+    };
     
-    // First, calculate total vertical space needed accounting for different node heights
-    let totalNodeSpace = 0;
+    // Horizontal position based on dates (length represents duration)
     graph.nodes.forEach(node => {
-      const heightFactor = categoryHeightFactors[node.category] || 1.0;
-      const nodeHeight = baseNodeHeight * heightFactor;
-      totalNodeSpace += nodeHeight;
+      node.x0 = timeScale(node.startDate);
+      node.x1 = timeScale(node.endDate);
     });
     
-    // Add space for padding between nodes
-    const totalVerticalSpace = totalNodeSpace + (nodeCount - 1) * nodePadding;
-    const startY = ((maxHeight - totalVerticalSpace) / 2) - 30 ; // Center the nodes vertically
+    if (laneModes[mode]) {
+      layoutLanes(graph, laneModes[mode], nodeHeightOf, nodePadding);
+    } else {
+      layoutStacked();
+    }
+    
+    // Attach the links to the node edges they leave and enter
+    stackLinks(graph);
     
-    // Position nodes
-    let currentY = startY;
-    graph.nodes.forEach((node, index) => {
-      // Horizontal position based on dates (length represents duration)
-      node.x0 = timeScale(node.startDate);
-      node.x1 = timeScale(node.endDate);
+    // Every node gets its own row, distributed evenly across the vertical space
+    function layoutStacked() {
+      const nodeCount = graph.nodes.length;
       
-      // Vertical position with height based on category
-      const heightFactor = categoryHeightFactors[node.category] || 1.0;
-      const nodeHeight = baseNodeHeight * heightFactor;
+      // First, calculate total vertical space needed accounting for different node heights
+      let totalNodeSpace = 0;
+      graph.nodes.forEach(node => {
+        totalNodeSpace += nodeHeightOf(node);
+      });
+      
+      // Add space for padding between nodes
+      const totalVerticalSpace = totalNodeSpace + (nodeCount - 1) * nodePadding;
+      const startY = ((maxHeight - totalVerticalSpace) / 2) - 30 ; // Center the nodes vertically
       
-      node.y0 = currentY;
-      node.y1 = currentY + nodeHeight;
+      // Position nodes
+      let currentY = startY;
+      graph.nodes.forEach((node, index) => {
+        // Vertical position with height based on category or flow
+        const nodeHeight = nodeHeightOf(node);
+        
+        node.y0 = currentY;
+        node.y1 = currentY + nodeHeight;
+        node.lane = null;
+        
+        // Update currentY for next node
+        currentY += nodeHeight + nodePadding;
+        // Store the final Y position
+        graph.finalY = currentY;
+      });
       
-      // Update currentY for next node
-      currentY += nodeHeight + nodePadding;
-      // Store the final Y position
-      graph.finalY = currentY;
+      graph.lanes = [];
+    }
+    
+    return graph;
+  };
+}
+
+// Group nodes into lanes, pack each lane into rows and record the lane extents on the graph.
+// Each row is as tall as the tallest node in it.
+function layoutLanes(graph, laneMode, nodeHeightOf, nodePadding) {
+  const laneHeaderHeight = 18; // Space above each lane for its header
+  const laneGap = 10;          // Space between lanes
+  
+  // Group nodes by lane key, keeping JSON order inside each lane
+  const groups = new Map();
+  graph.nodes.forEach(node => {
+    const key = laneMode.key(node);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(node);
+  });
+  
+  let currentY = 0;
+  graph.lanes = Array.from(groups.keys()).sort(laneMode.compare).map(key => {
+    const laneNodes = groups.get(key);
+    const rowCount = packLaneRows(laneNodes);
+    const lane = { key, count: laneNodes.length, rows: rowCount, y0: currentY };
+    
+    // Top of each row, plus the bottom of the last one
+    const rowHeights = new Array(rowCount).fill(0);
+    laneNodes.forEach(node => {
+      rowHeights[node.row] = Math.max(rowHeights[node.row], nodeHeightOf(node));
     });
+    const rowTops = [currentY + laneHeaderHeight];
+    rowHeights.forEach((rowHeight, row) => rowTops.push(rowTops[row] + rowHeight + nodePadding));
     
-    // Set link widths based on value
-    graph.links.forEach(link => {
-      // Proportional width based on value
-      link.width = Math.max(1, link.value / 5);
+    laneNodes.forEach(node => {
+      node.y0 = rowTops[node.row];
+      node.y1 = node.y0 + nodeHeightOf(node);
+      node.lane = key;
     });
     
-    return graph;
-  };
+    lane.y1 = rowTops[rowCount];
+    currentY = lane.y1 + laneGap;
+    return lane;
+  });
+  
+  // Store the final Y position
+  graph.finalY = currentY;
+}
+
+// Size links from their values with the width scale picked in the control panel.
+// Returns the scale, for the legend.
+function sizeLinks(d3, graph, controls) {
+  const linkWidth = createLinkWidthScale(d3, graph.links, {
+    scale: controls.linkScaleSelect.value,
+    min: Math.max(0.5, +controls.linkMinInput.value || defaultLinkWidth.min),
+    max: +controls.linkMaxInput.value || defaultLinkWidth.max
+  });
+  graph.links.forEach(link => {
+    link.width = linkWidth(link.value);
+  });
+  return linkWidth;
+}
+
+// Create a custom link curve that adjusts based on the distance between nodes.
+// The link runs from its place in the source's stack of outgoing links (link.y0) to its
+// place in the target's stack of incoming links (link.y1).
+function createLinkPath(d) {
+  const sourceX = d.source.x1;
+  const sourceY = d.y0;
+  const targetX = d.target.x0;
+  const targetY = d.y1;
+  
+  // Control points for curve
+  // Adjust these to control the curve shape
+  const xDist = targetX - sourceX;
+  // When the target starts before the source ends (common across lanes), loop out
+  // to the right of the source and back in from the left of the target instead
+  const controlPointOffset = xDist >= 0 ? Math.min(80, xDist * 0.4) : Math.min(80, Math.max(30, -xDist * 0.4));
+  
+  // Define the curve path
+  return `M ${sourceX},${sourceY} 
+          C ${sourceX + controlPointOffset},${sourceY} 
+            ${targetX - controlPointOffset},${targetY} 
+            ${targetX},${targetY}`;
+}
+
+// Set a node's numeric duration (node.value) and its label from the node's dates
+function applyDuration(d3, node, unit) {
+  node.durationUnit = unit;
+  node.value = measureDuration(d3, node.startDate, node.endDate, unit);
+  node.duration = formatDuration(node.value, unit);
 }
 
-// Process the data to create the graph structure needed for visualization
-function processData(projectData, d3) {
-  // Add this line to get current date
-  const today = new Date();
+// Process the data to create the graph structure needed for visualization.
+// options.durationUnit picks how durations are measured: "weeks", "months" or "businessDays".
+// options.asOf (a Date) shows the timeline as it stood on that date: projects that hadn't
+// started yet are left out, and projects that hadn't finished are ongoing. Without it,
+// projects with no endDate run up to today.
+// options.colorBy and options.palette pick the project colors (see colorNodes in themes.js).
+function processData(projectData, d3, options = {}) {
+  const durationUnit = options.durationUnit || "weeks";
+  const today = options.asOf || new Date();
   // If no project data is available yet, return a minimal structure
   if (!projectData) {
-    return { nodes: [], links: [], minDate: new Date(), maxDate: new Date() };
+    return { nodes: [], links: [], people: [], colorLegend: [], minDate: new Date(), maxDate: new Date(), asOf: today };
   }
   
   // Parse dates and create a time scale
   const parseDate = d3.timeParse("%Y-%m-%d");
   
   // Process projects
-  const projects = projectData.projects.map(p => ({
-    ...p,
-    startDate: parseDate(p.startDate),
-    endDate: p.endDate ? parseDate(p.endDate) : today,
-    // Flag to track if endDate was defined
-    hasDefinedEndDate: !!p.endDate
-  }));
-  
-  // Get min and max dates for the time scale
+  const projects = projectData.projects
+    .filter(p => !options.asOf || parseDate(p.startDate) <= today)
+    .map(p => {
+      const endDate = p.endDate ? parseDate(p.endDate) : null;
+      const finished = !!endDate && (!options.asOf || endDate <= today);
+      return {
+        ...p,
+        startDate: parseDate(p.startDate),
+        endDate: finished ? endDate : today,
+        // Flag to track if endDate was defined (by the as-of date)
+        hasDefinedEndDate: finished,
+        plannedEndDate: p.plannedEndDate ? parseDate(p.plannedEndDate) : null
+      };
+    });
+  const shownIds = new Set(projects.map(p => p.id));
+  
+  // Everyone on the team, from the people list and the projects' assignees
+  const people = teamMembers(projectData.people, projectData.projects);
+  const personById = new Map(people.map(person => [person.id, person]));
+  
+  // Get min and max dates for the time scale, leaving room for planned ends
   const minDate = d3.min(projects, d => d.startDate);
-  const maxDate = d3.max(projects, d => d.endDate);
+  const maxDate = d3.max(projects, d => d.hasDefinedEndDate ? d.endDate : d3.max([d.endDate, d.plannedEndDate]));
   
   // Create nodes array with x position based on dates
   const nodes = projects.map((project, i) => {
-    return {
+    const node = {
       id: project.id,
       name: project.name,
       index: i,
       startDate: project.startDate,
       endDate: project.endDate,
-      duration: project.duration,
+      // The hand-typed duration is only kept to flag when it disagrees with the dates
+      declaredDuration: project.duration,
+      durationMismatch: checkDeclaredDuration(d3, project.duration, project.startDate, project.endDate, project.hasDefinedEndDate),
       category: project.category,
       phase: project.phase,
       description: project.description,
       skills: project.skills || [], // Include skills data if it exists, otherwise use an empty array
-      // Assign a unique color to each project
-      color: d3.interpolateSpectral(i / projects.length),
-      value: project.duration, // Use duration as the node value
+      ...parseSchedule(d3, project, project.endDate), // phases and milestones inside the bar
+      // People on the project, with the percent of their time it takes
+      assignees: parseAssignees(project).map(({ person, allocation }) => ({ id: person, name: personById.get(person).name, allocation })),
+      // The project's own color from the data, for coloring by the color field
+      customColor: project.color || null,
       hasDefinedEndDate: project.hasDefinedEndDate,
+      // When an ongoing project is due to finish; it's overdue once that date has passed
+      plannedEndDate: project.hasDefinedEndDate ? null : project.plannedEndDate,
+      overdue: !project.hasDefinedEndDate && !!project.plannedEndDate && project.plannedEndDate < today,
       sourceLinks: [], // Initialize empty arrays for links
       targetLinks: []
     };
+    
+    // Duration is measured from the dates (ongoing projects up to today) and used as the node value
+    applyDuration(d3, node, durationUnit);
+    return node;
   });
   
-  // Create links from connections
-  const links = projectData.connections ? projectData.connections.map((conn, i) => {
-    const source = nodes.find(n => n.id === conn.source);
-    const target = nodes.find(n => n.id === conn.target);
+  const colorLegend = colorNodes(d3, nodes, options.colorBy, options.palette);
+  
+  // Links are keyed by their source and target (numbered when a pair repeats) rather than
+  // their position, so a link keeps its key and element ids when the data is reloaded
+  const pairCounts = new Map();
+  
+  // Create links from connections, leaving out those to projects that hadn't started by the
+  // as-of date
+  const links = projectData.connections ? projectData.connections
+    .filter(conn => !options.asOf || (shownIds.has(conn.source) && shownIds.has(conn.target)))
+    .map(conn => {
+      const source = nodes.find(n => n.id === conn.source);
+      const target = nodes.find(n => n.id === conn.target);
     
-    if (!source || !target) {
-      console.error(`Connection references unknown project: ${conn.source} -> ${conn.target}`);
-      return null;
-    }
+      if (!source || !target) {
+        console.error(`Connection references unknown project: ${conn.source} -> ${conn.target}`);
+        return null;
+      }
     
-    return {
-      source,
-      target,
-      value: conn.value,
-      gradient: `gradient-${i}`,
-      path: `path-${i}`
-    };
-  }).filter(link => link !== null) : [];
+      const pair = `${source.id}-${target.id}`;
+      const repeat = pairCounts.get(pair) || 0;
+      pairCounts.set(pair, repeat + 1);
+      const key = repeat > 0 ? `${pair}-${repeat}` : pair;
+    
+      return {
+        source,
+        target,
+        value: conn.value,
+        type: conn.type || conn.label || null, // Optional kind of connection, drawn with its own dashes
+        key,
+        gradient: `gradient-${key}`,
+        path: `path-${key}`
+      };
+    })
+    .filter(link => link !== null) : [];
   
   // Assign links to nodes
   links.forEach(link => {
@@ -228,7 +855,7 @@ function processData(projectData, d3) {
     link.target.targetLinks.push(link);
   });
   
-  return { nodes, links, minDate, maxDate };
+  return { nodes, links, people, colorLegend, minDate, maxDate, durationUnit, asOf: today, linkDashes: linkTypeDashes(links) };
 }
 
 // Calculate a time scale based on the graph data
@@ -252,40 +879,100 @@ function createTimeScale(d3, graph, width, margin) {
     .range([0, width - margin.left - margin.right]);
 }
 
-// Create the SVG visualization
-function createVisualization(d3, width, height, graph, margin, timeScale, duration) {
+// Pick the axis tick interval and label format for the visible time span
+function timeTicksFor(d3, scale) {
+  const [start, end] = scale.domain();
+  const [r0, r1] = scale.range();
+  const pixelsPerDay = (r1 - r0) / Math.max(1, d3.timeDay.count(start, end));
+  
+  // Rotated labels need roughly 25px between ticks
+  if (pixelsPerDay * 7 >= 25) {
+    return { interval: d3.timeWeek.every(1), format: d3.timeFormat("%b %d, %Y") };
+  }
+  if (pixelsPerDay * 30 >= 25) {
+    return { interval: d3.timeMonth.every(1), format: d3.timeFormat("%b %Y") };
+  }
+  return {
+    interval: d3.timeMonth.every(3),
+    format: date => `Q${Math.floor(date.getMonth() / 3) + 1} ${date.getFullYear()}`
+  };
+}
+
+// A left margin wide enough for the labels of projects starting near the left edge, from the
+// default 100px up to a fifth of the chart's width (longer labels are placed elsewhere, wrapped
+// or truncated; see node-labels.js)
+function fitLeftMargin(d3, graph, width, margin, measure) {
+  const minimum = 100;
+  const maximum = Math.max(minimum, width / 5);
+  const needed = left => {
+    const timeScale = createTimeScale(d3, graph, width, { ...margin, left });
+    return d3.max(graph.nodes, node => measure(node.name) + 10 - timeScale(node.startDate)) || 0;
+  };
+  
+  // Widening the margin squeezes the time scale, so check again at the new width
+  let left = Math.min(maximum, Math.max(minimum, needed(minimum)));
+  left = Math.min(maximum, Math.max(left, needed(left)));
+  return Math.round(left);
+}
+
+// Create the SVG visualization. ui holds what the chart is wired to: { idPrefix, controls and
+// infoPanel (from control-panel.js), dataTable (element for the table view), skillView
+// (element for the skill analytics views), scheduleReport (element for the schedule
+// analysis), touchTooltip (element a long press shows a bar's tooltip in), theme (from
+// themes.js), editor ({ apply(edit), which applies an edit and
+// returns false if it was turned down, and record(id), a project as stored in the data }),
+// events (d3.dispatch), title, valueLabel }.
+// Returns { node, selectNode(id), setFilters(filters), updateData(graph, height), viewState(),
+// applyViewState(view), destroy() }.
+function createVisualization(d3, width, height, graph, margin, timeScale, duration, layoutMode = "stacked", ui) {
+  const { controls, events, theme } = ui;
+  
+  // Removes every control handler this chart adds when the chart is destroyed
+  const listeners = new AbortController();
+  
+  // Element ids are prefixed so two charts on one page never share one, and characters other
+  // than letters, digits and hyphens are written as their hex code between underscores, so
+  // project ids with spaces, dots or quotes still make ids that selectors and url(#…) can use
+  const domId = name => `${ui.idPrefix}-${String(name).replace(/[^A-Za-z0-9-]/g, ch => `_${ch.codePointAt(0).toString(16)}_`)}`;
+  const byId = name => svg.select(`#${domId(name)}`);
+  
+  // Dates as screen readers hear them and the table view shows them
+  const ariaDateFormat = d3.timeFormat("%b %d, %Y");
+  
   // Store application state
   let state = {
     selectedNode: null,
-    filteredSkills: [],
+    focusNode: null, // Node that's in the tab order (see updateTabStop)
+    animatedNodes: new Set(), // Nodes lit up by the selected node's link animation
+    lineage: null, // Lineage traced from the selected node (see lineage.js)
+    lineageTimeout: null, // Pending start of the lineage's link animation (see replayLineage)
+    highlightedPerson: null, // Id of the person whose projects are highlighted
+    filters: createFilters(), // Facets picked in the filter panel
     visibleNodes: new Set(graph.nodes.map(n => n.id)),
     isAnimating: false, // Flag to track if animation is in progress
-    currentAnimationTimeout: null, // Store the current animation timeout
+    isRecording: false, // A recording is capturing frames, so clicks, zooming and brushing are ignored
+    animationTimer: null, // The d3.timer drawing the current animation
+    animationSchedule: null, // Schedule of the current (playing or paused) animation
+    animationTime: 0, // Playhead position in the schedule, in ms
+    animationSpeed: 1, // Playback speed multiplier
   
     isNodeVisible: function(node) {
       return this.visibleNodes.has(node.id);
     },
     
     updateVisibleNodes: function() {
-      if (this.filteredSkills.length === 0) {
-        this.visibleNodes = new Set(graph.nodes.map(n => n.id));
-      } else {
-        this.visibleNodes = new Set(
-          graph.nodes
-            .filter(node => 
-              node.skills && 
-              node.skills.some(skill => this.filteredSkills.includes(skill))
-            )
-            .map(n => n.id)
-        );
-      }
+      this.visibleNodes = new Set(
+        graph.nodes
+          .filter(node => matchesFilters(node, this.filters))
+          .map(n => n.id)
+      );
     },
     // Stop any ongoing animation
     stopAnimation: function() {
       if (this.isAnimating) {
-        if (this.currentAnimationTimeout) {
-          clearTimeout(this.currentAnimationTimeout);
-          this.currentAnimationTimeout = null;
+        if (this.animationTimer) {
+          this.animationTimer.stop();
+          this.animationTimer = null;
         }
         this.isAnimating = false;
       }
@@ -296,322 +983,913 @@ function createVisualization(d3, width, height, graph, margin, timeScale, durati
 function animateTimelineSequentially(graph, view, state) {
   // Reset any previous state
   if (state.selectedNode) {
-    resetNode(state.selectedNode);
-    resetLinks();
+    clearLineage();
     hideInfoPanel();
     state.selectedNode = null;
   }
   
   // If animation is already in progress, stop it
   state.stopAnimation();
-  state.isAnimating = true;
-
-  // Create a set to track visited nodes during this animation
-  window.animatedNodes = new Set();
   
-  // Get all visible nodes and sort them by start date
-  const visibleNodes = graph.nodes
-    .filter(node => state.isNodeVisible(node))
-    .sort((a, b) => a.startDate - b.startDate);
+  state.animationSchedule = prepareAnimation();
+  state.animationTime = 0;
+  if (state.animationSchedule.order.length === 0) return;
+  
+  playAnimation();
+}
+
+  // Play (or resume) the animation from the playhead
+  function playAnimation() {
+    const schedule = state.animationSchedule;
+    const from = state.animationTime;
+    
+    // Draw the scheduled animation against the clock
+    state.stopAnimation();
+    state.isAnimating = true;
+    state.animationTimer = d3.timer(elapsed => {
+      state.animationTime = Math.min(schedule.duration, from + elapsed * state.animationSpeed);
+      renderAnimationFrame(schedule, state.animationTime);
+      if (state.animationTime >= schedule.duration) {
+        pauseAnimation();
+      }
+    });
+    updatePlayerControls();
+  }
   
-  if (visibleNodes.length === 0) return;
+  // Pause the animation, keeping the playhead where it is
+  function pauseAnimation() {
+    state.stopAnimation();
+    updatePlayerControls();
+  }
   
-  // Function to animate a single node
-  function animateNode(index) {
-    if (index >= visibleNodes.length || !state.isAnimating) {
-      state.isAnimating = false;
-      return;
+  // Play/pause button: pause while playing, resume while paused, otherwise start over
+  function togglePlayback() {
+    const schedule = state.animationSchedule;
+    
+    if (state.isAnimating) {
+      pauseAnimation();
+    } else if (schedule && state.animationTime < schedule.duration) {
+      prepareAnimation();
+      playAnimation();
+    } else {
+      animateTimelineSequentially(graph, view, state);
     }
+  }
+  
+  // Move the playhead to a time in the animation and draw that moment with every
+  // started link fully drawn, so the chart shows exactly what is active at the playhead date
+  function seekAnimation(time) {
+    const schedule = ensureAnimationSchedule();
+    if (schedule.order.length === 0) return;
     
-    const node = visibleNodes[index];
+    pauseAnimation();
+    state.animationTime = Math.max(-1, Math.min(schedule.duration, time));
+    renderAnimationFrame(schedule, state.animationTime, true);
+    updatePlayerControls();
+  }
+  
+  // Move the playhead to the start of the next (1) or previous (-1) project
+  function stepAnimation(direction) {
+    const { order } = ensureAnimationSchedule();
+    const time = state.animationTime;
+    const target = direction > 0
+      ? order.find(turn => turn.time > time)
+      : order.slice().reverse().find(turn => turn.time < time);
     
-    // Simulate a click on the node
-    state.selectedNode = node;
-    highlightNode(node);
-    // showInfoPanel(node);
-    
-    // Animate outgoing links
-    setTimeout(() => {
-      animateLinksFromNode(node);
-    }, 500);
-    
-    // Schedule the next node with a delay
-    state.currentAnimationTimeout = setTimeout(() => {
-      // Reset the current node
-      // if (window.animatedNodes) {
-      //   window.animatedNodes.forEach(nodeId => {
-      //     const animatedNode = graph.nodes.find(n => n.id === nodeId);
-      //     if (animatedNode) {
-      //       resetNode(animatedNode);
-      //     }
-      //   });
-      // }
-      
-      // resetNode(node);
-      // resetLinks();
-      
-      // Move to the next node
-      animateNode(index + 1);
-    }, 250); // Delay between nodes (.25 seconds)
+    seekAnimation(target ? target.time : (direction > 0 ? state.animationSchedule.duration : -1));
   }
   
-  // Start the animation with the first node
-  animateNode(0);
-} 
-
-  const svg = d3.create("svg")
-    .attr("width", width)
-    .attr("height", height);
+  // Change playback speed, carrying on from the playhead if playing
+  function setAnimationSpeed(speed) {
+    state.animationSpeed = speed > 0 ? speed : 1;
+    if (state.isAnimating) {
+      playAnimation();
+    }
+  }
   
-  const defs = svg.append("defs");
+  // The current animation schedule, starting a paused one before the first project if there is none
+  function ensureAnimationSchedule() {
+    if (!state.animationSchedule) {
+      hideInfoPanel();
+      state.animationSchedule = prepareAnimation();
+      state.animationTime = -1;
+    }
+    return state.animationSchedule;
+  }
   
-  // Add definitions for the linear gradients for nodes
-  const nodeGradients = defs.selectAll("linearGradient.node-gradient")
-    .data(graph.nodes)
-    .join("linearGradient")
-    .attr("class", "node-gradient")
-    .attr("id", d => `node-gradient-${d.id}`)
-    .attr("gradientUnits", "userSpaceOnUse")
-    .attr("x1", d => d.x0)
-    .attr("x2", d => d.x1);
-  
-  // Add two stops to each gradient - one with the node color and one that's gray
-  nodeGradients.append("stop")
-    .attr("offset", "0%")
-    .attr("stop-color", d => d.color);
-  
-  nodeGradients.append("stop")
-    .attr("offset", "100%")
-    .attr("stop-color", "#f8f8f8");  // Light gray
-  
-  // Add definitions for the linear gradients for links - only if there are links
-  if (graph.links.length > 0) {
-    const gradients = defs.selectAll("linearGradient.link-gradient")
-      .data(graph.links)
-      .join("linearGradient")
-      .attr("class", "link-gradient")
-      .attr("id", d => d.gradient)
-      .attr("gradientUnits", "userSpaceOnUse")
-      .attr("x1", d => d.source.x1) // End of source node
-      .attr("y1", d => (d.source.y0 + d.source.y1) / 2)
-      .attr("x2", d => d.target.x0) // Start of target node
-      .attr("y2", d => (d.target.y0 + d.target.y1) / 2);
-      
-    gradients.append("stop").attr("offset", 0.0).attr("stop-color", d => d.source.color);
-    gradients.append("stop").attr("offset", 1.0).attr("stop-color", d => d.target.color);
+  // Forget the animation and hide the playhead
+  function resetPlayer() {
+    state.stopAnimation();
+    state.animationSchedule = null;
+    state.animationTime = 0;
+    updatePlayerControls();
   }
+  
+  // Work out the animation schedule for the visible nodes and clear anything that
+  // would fight with drawing it frame by frame
+  function prepareAnimation() {
+    nodes.interrupt();
+    view.selectAll("text.node-label").interrupt();
+    defs.selectAll("linearGradient.node-gradient stop").interrupt();
+    if (gradientLinks) gradientLinks.interrupt();
     
-  // Add a background rect to catch clicks on empty space
-  const background = svg.append("rect")
-    .attr("width", width)
-    .attr("height", height)
-    .attr("fill", "transparent")
-    .on("click", function() {
-      // Stop any ongoing animation
-      state.stopAnimation();
-      // Reset all nodes
-      resetAllNodes();
-
-      // Only handle background clicks, not clicks on nodes
-      if (state.selectedNode) {
-        // Reset all nodes that were part of the animation chain
-        if (window.animatedNodes) {
-          window.animatedNodes.forEach(nodeId => {
-            const animatedNode = graph.nodes.find(n => n.id === nodeId);
-            if (animatedNode) {
-              resetNode(animatedNode);
-            }
-          });
-        }
-        
-        // Reset the selected node
-        resetNode(state.selectedNode);
-        resetLinks();
-        hideInfoPanel();
-        state.selectedNode = null;
-      }
+    // Create a set to track visited nodes during this animation
+    state.animatedNodes = new Set();
+    
+    return buildAnimationSchedule(graph.nodes, node => state.isNodeVisible(node), {
+      dwell: animationDwell(),
+      duration
     });
-
-  // Add a g.view for holding the diagram
-  const view = svg.append("g")
-    .classed("view", true)
-    .attr("transform", `translate(${margin.left}, ${margin.top})`);
-  
-  // Add time axis
-  const timeAxis = d3.axisBottom(timeScale)
-    .ticks(d3.timeMonth.every(1))
-    .tickFormat(d3.timeFormat("%b %Y"));
-  
-  view.append("g")
-    .attr("class", "time-axis")
-    .attr("transform", `translate(0, ${graph.finalY + 20})`) // Position closer to the nodes
-    .call(timeAxis)
-    .selectAll("text")
-    .style("text-anchor", "end")
-    .attr("dx", "-.8em")
-    .attr("dy", ".15em")
-    .attr("transform", "rotate(-45)");
-  
-  // Define the nodes
-  const nodes = view.selectAll("rect.node")
-    .data(graph.nodes)
-    .join("rect")
-    .classed("node", true)
-    .attr("id", d => `node-${d.id}`)
-    .attr("x", d => d.x0)
-    .attr("y", d => d.y0)
-    .attr("width", d => Math.max(5, d.x1 - d.x0)) // Ensure a minimum width
-    .attr("height", d => Math.max(1, d.y1 - d.y0))
-    .attr("rx", 5) // Rounded corners
-    .attr("ry", 5)
-    .attr("fill", d => `url(#node-gradient-${d.id})`) // Use gradient instead of solid color
-    .attr("opacity", 0.9)
-    .attr("stroke", d => d3.rgb(d.color).darker())
-    .attr("stroke-width", 1);
-  
-  // Add titles for node hover effects
-  nodes.append("title").text(d => 
-    `${d.name}\nDuration: ${d.duration}\nCategory: ${d.category}\n${d3.timeFormat("%b %d, %Y")(d.startDate)} - ${d.hasDefinedEndDate ? d3.timeFormat("%b %d, %Y")(d.endDate) : "Ongoing"}`);
-  
-  // Add text labels to the left of nodes
-  view.selectAll("text.node-label")
-    .data(graph.nodes)
-    .join("text")
-    .classed("node-label", true)
-    .attr("id", d => `node-label-${d.id}`)
-    .attr("x", d => d.x0 - 5) // Position just to the left of the node
-    .attr("y", d => (d.y0 + d.y1) / 2)
-    .attr("dy", "0.35em")
-    .attr("fill", "#333") // Dark text for better visibility
-    .attr("text-anchor", "end") // Right-align text
-    .attr("font-size", 11)
-    .attr("font-family", "Arial, sans-serif")
-    .text(d => d.name);
+  }
   
-  // Only create links if there are any connections
-  let gradientLinks = null;
-  let setDash; // Declare setDash in the current scope so it's accessible
-  
-  if (graph.links.length > 0) {
-    // Create a custom link curve that adjusts based on the distance between nodes
-    const createLinkPath = (d) => {
-      const sourceX = d.source.x1;
-      const sourceY = (d.source.y0 + d.source.y1) / 2;
-      const targetX = d.target.x0;
-      const targetY = (d.target.y0 + d.target.y1) / 2;
-      
-      // Control points for curve
-      // Adjust these to control the curve shape
-      const xDist = targetX - sourceX;
-      const controlPointOffset = Math.min(80, xDist * 0.4);
-      
-      // Define the curve path
-      return `M ${sourceX},${sourceY} 
-              C ${sourceX + controlPointOffset},${sourceY} 
-                ${targetX - controlPointOffset},${targetY} 
-                ${targetX},${targetY}`;
-    };
+  // Draw the animation exactly as it looks `time` ms after it started. Each revealed bar
+  // fills up to the playhead date and stays bold while it is still running at that date.
+  // With `settled`, links that have started are drawn in full rather than mid-animation.
+  function renderAnimationFrame(schedule, time, settled = false) {
+    const playheadDate = scheduleDateAt(schedule, time);
+    let latestNode = null;
     
-    // Define the gray links
-    const links = view.selectAll("path.link")
-      .data(graph.links)
-      .join("path")
-      .classed("link", true)
-      .attr("d", createLinkPath)
-      .attr("stroke", "lightgrey")
-      .attr("stroke-opacity", 0.1)
-      .attr("stroke-width", d => Math.max(1, d.width))
-      .attr("fill", "none");
-    
-    // Add <title> hover effect on links
-    links.append("title").text(d => 
-      `${d.source.name} → ${d.target.name}`);
+    graph.nodes.forEach(node => {
+      const start = schedule.nodeStarts.get(node.id);
+      const revealed = start !== undefined && time >= start;
+      const active = revealed && playheadDate <= node.endDate;
+      const span = node.endDate - node.startDate;
+      const fill = !revealed ? 0 : (span > 0 ? Math.max(0, Math.min(1, (playheadDate - node.startDate) / span)) : 1);
       
-    // Define the dash behavior for colored gradients
-    setDash = function(link) {
-      let el = view.select(`#${link.path}`);
-      if (!el.empty()) {
-        let length = el.node().getTotalLength();
-        el.attr("stroke-dasharray", `${length} ${length}`)
-          .attr("stroke-dashoffset", length);
+      if (revealed) {
+        state.animatedNodes.add(node.id);
+        if (!latestNode || start >= schedule.nodeStarts.get(latestNode.id)) {
+          latestNode = node;
+        }
       }
-    };
+      
+      byId(`node-${node.id}`)
+        .attr("opacity", revealed ? 1 : (state.isNodeVisible(node) ? 0.9 : 0.2))
+        .attr("stroke-width", active ? 2 : 1);
+      
+      byId(`node-label-${node.id}`)
+        .attr("font-weight", active ? "bold" : "normal")
+        .attr("fill", revealed ? theme.strongText : theme.text);
+      
+      // The gradient fills the bar with the node color from left to right
+      byId(`node-gradient-${node.id}`)
+        .select("stop")
+        .attr("offset", `${fill * 100}%`);
+    });
     
-    gradientLinks = view.selectAll("path.gradient-link")
-      .data(graph.links)
-      .join("path")
-      .classed("gradient-link", true)
-      .attr("id", d => d.path)
-      .attr("d", createLinkPath)
-      .attr("stroke", d => `url(#${d.gradient})`)
-      .attr("stroke-opacity", 0)
-      .attr("stroke-width", d => Math.max(1, d.width))
-      .attr("fill", "none")
-      .each(setDash);
+    if (gradientLinks) {
+      gradientLinks.each(function(link) {
+        let progress = scheduleProgress(schedule.linkStarts.get(link.path), time, duration);
+        if (settled && progress !== null) progress = 1;
+        const length = this.getTotalLength();
+        
+        d3.select(this)
+          .attr("stroke-dasharray", progress === 1 ? drawnDash(link, length) : `${length} ${length}`)
+          .attr("stroke-opacity", progress === null ? 0 : 0.8)
+          .attr("stroke-dashoffset", progress === null ? length : length * (1 - progress));
+      });
+    }
+    
+    // Like a click, the most recently revealed node counts as selected
+    state.selectedNode = latestNode;
+    updatePlayhead(playheadDate);
+  }
+  
+  // Delay between nodes in the timeline animation, in ms
+  function animationDwell() {
+    const dwell = +controls.dwellInput.value;
+    return dwell > 0 ? dwell : 250;
+  }
+  
+  // Record the timeline animation frame by frame to a video or GIF
+  function recordTimelineAnimation(format, fps, outputWidth, onProgress) {
+    state.stopAnimation();
+    hideInfoPanel();
+    
+    const schedule = prepareAnimation();
+    if (schedule.order.length === 0) {
+      return Promise.reject(new Error('There are no visible projects to animate'));
+    }
+    
+    state.animationSchedule = schedule;
+    state.isAnimating = true; // Keep hovers from changing frames mid-recording
+    state.isRecording = true;
+    
+    // The player would move the frames the recording is drawing, so it's off until it's done
+    const { animateButton, stepBackButton, stepForwardButton, speedSelect, scrubber } = controls;
+    const player = [animateButton, stepBackButton, stepForwardButton, speedSelect, scrubber];
+    player.forEach(control => { control.disabled = true; });
+    
+    return recordAnimation(d3, svg.node(), time => renderAnimationFrame(schedule, time), {
+      duration: schedule.duration,
+      fps,
+      width: outputWidth,
+      format,
+      exportOptions: exportOptions(),
+      onProgress
+    }).finally(() => {
+      player.forEach(control => { control.disabled = false; });
+      state.isRecording = false;
+      state.isAnimating = false;
+      state.animationTime = schedule.duration;
+      updatePlayerControls();
+    });
+  }
+  
+  // Move the playhead line to a date, or hide it when there's no animation
+  function updatePlayhead(date = state.animationSchedule ? scheduleDateAt(state.animationSchedule, state.animationTime) : null) {
+    if (!date) {
+      playhead.style("display", "none");
+      return;
+    }
+    
+    playhead
+      .style("display", null)
+      .datum(date)
+      .attr("transform", `translate(${xScale(date)}, 0)`);
+    
+    playhead.select("line")
+      .attr("y2", graph.finalY + 20);
+    
+    playhead.select("path.playhead-handle")
+      .attr("transform", `translate(0, ${graph.finalY + 20})`);
+    
+    playhead.select("text")
+      .text(d3.timeFormat("%b %d, %Y")(date));
+  }
+  
+  // Sync the player buttons, scrubber and date readout with the animation state
+  function updatePlayerControls() {
+    const schedule = state.animationSchedule;
+    const { animateButton, scrubber, dateReadout } = controls;
+    
+    animateButton.textContent = state.isAnimating ? 'Pause'
+      : (schedule && state.animationTime > 0 && state.animationTime < schedule.duration ? 'Resume' : 'Animate Timeline');
+    scrubber.value = schedule && schedule.duration > 0
+      ? Math.max(0, state.animationTime) / schedule.duration * +scrubber.max
+      : 0;
+    
+    const date = schedule ? scheduleDateAt(schedule, state.animationTime) : null;
+    dateReadout.textContent = date ? d3.timeFormat("%b %d, %Y")(date) : '';
+    
+    updatePlayhead();
+  }
+  
+  // The time scale currently on screen; timeScale itself stays the unzoomed base scale
+  let xScale = timeScale;
+  
+  // Size and position of the overview strip under the main axis
+  const overviewHeight = 30;
+  const overviewOffset = 95; // Below the main axis and its rotated labels
+  
+  // The team utilization histogram sits between the axis and the overview strip when the
+  // data has people in it, with a row per person in its legend
+  const utilizationGap = 20;
+  const utilizationHeight = () => Math.max(60, graph.people.length * 14);
+  const overviewY = () => graph.finalY + overviewOffset +
+    (graph.people.length > 0 ? utilizationHeight() + utilizationGap : 0);
+  
+  const svg = d3.create("svg")
+    .attr("width", width)
+    .attr("height", contentHeight())
+    .attr("role", "group")
+    .attr("aria-label", `${ui.title ? `${ui.title}: p` : "P"}roject timeline. Tab to a project, then use the ` +
+      "left and right arrow keys to move through time, up and down to follow its connections, " +
+      "Enter to select it and Escape to clear the selection.");
+  
+  const defs = svg.append("defs");
+  
+  // Gradients, bars and links bound to the graph's nodes and links by joinGraph()
+  let nodeGradients;
+  let nodes;
+  let gradientLinks = null;
+    
+  // Add a background rect to catch clicks on empty space
+  const background = svg.append("rect")
+    .attr("width", width)
+    .attr("height", contentHeight())
+    .attr("fill", "transparent")
+    .on("click", function() {
+      // Stop any ongoing animation and hide the playhead
+      resetPlayer();
+      // Reset all nodes
+      resetAllNodes();
+
+      // Only handle background clicks, not clicks on nodes
+      if (state.selectedNode) {
+        // Reset the selected node and its lineage
+        clearLineage();
+        hideInfoPanel();
+        state.selectedNode = null;
+        events.call("select", null, null);
+      }
+    });
+
+  // Add a g.view for holding the diagram
+  const view = svg.append("g")
+    .classed("view", true)
+    .attr("transform", `translate(${margin.left}, ${margin.top})`);
+  
+  // Lane bands and headers sit behind everything else in the view
+  const laneGroup = view.append("g")
+    .attr("class", "lanes")
+    .attr("pointer-events", "none"); // Let clicks through to the background
+  drawLanes();
+  
+  // Clip zoomed content to the chart area (labels may also use the left margin)
+  const innerWidth = width - margin.left - margin.right;
+  const measureLabel = createTextMeasurer();
+  
+  defs.append("clipPath")
+    .attr("id", domId("chart-clip"))
+    .append("rect")
+    .attr("x", 0)
+    .attr("y", -margin.top)
+    .attr("width", innerWidth)
+    .attr("height", "100%");
+  
+  defs.append("clipPath")
+    .attr("id", domId("label-clip"))
+    .append("rect")
+    .attr("x", -margin.left)
+    .attr("y", -margin.top)
+    .attr("width", innerWidth + margin.left)
+    .attr("height", "100%");
+  
+  // Ongoing bars fade out toward the as-of date, whatever their color
+  const ongoingFade = defs.append("linearGradient")
+    .attr("id", domId("ongoing-fade"));
+  ongoingFade.append("stop").attr("offset", "0%").attr("stop-color", theme.background).attr("stop-opacity", 0);
+  ongoingFade.append("stop").attr("offset", "100%").attr("stop-color", theme.background).attr("stop-opacity", 0.85);
+  
+  // Add time axis
+  const timeAxis = d3.axisBottom(xScale);
+  
+  const axisGroup = view.append("g")
+    .attr("class", "time-axis")
+    .attr("transform", `translate(0, ${graph.finalY + 20})`); // Position closer to the nodes
+  
+  drawAxis();
+  
+  // The "today" (or as-of date) line, behind the bars
+  const todayLine = view.append("g").attr("class", "today-line");
+  todayLine.append("line")
+    .attr("stroke", "#d62728")
+    .attr("stroke-width", 1)
+    .attr("stroke-dasharray", "4,3");
+  todayLine.append("text")
+    .attr("fill", "#d62728")
+    .attr("font-size", 10)
+    .attr("font-family", "Arial, sans-serif")
+    .attr("text-anchor", "middle")
+    .text(todayLabel());
+  todayLine.call(positionTodayLine);
+  
+  // Layers for the bars, the marks drawn over them (phases, milestones and ongoing/planned
+  // status), labels and links, so elements added when the data is reloaded are drawn in the
+  // same order as the rest
+  const nodeLayer = view.append("g").attr("class", "node-layer");
+  const markLayer = view.append("g").attr("class", "mark-layer");
+  const labelLayer = view.append("g").attr("class", "label-layer");
+  const linkLayer = view.append("g").attr("class", "link-layer");
+  const gradientLinkLayer = view.append("g").attr("class", "gradient-link-layer");
+  const analysisLayer = view.append("g").attr("class", "analysis-layer");
+  
+  // In edit mode, dragging a bar's end handle moves that date, a day at a time, and dragging
+  // from one bar to another connects them. Outside edit mode neither drag starts, so clicks
+  // and panning work as usual.
+  const dateDrag = d3.drag()
+    .filter(event => editing() && !event.button)
+    .on("drag", dragDate)
+    .on("end", dropDate);
+  
+  const connectDrag = d3.drag()
+    .filter(event => editing() && !event.button)
+    .on("start", (event, d) => connector.attr("x1", d.x1).attr("y1", (d.y0 + d.y1) / 2))
+    .on("drag", event => connector.style("display", null).attr("x2", event.x).attr("y2", event.y))
+    .on("end", dropConnection);
+  
+  const connector = view.append("line")
+    .attr("class", "edit-connector")
+    .attr("stroke", theme.text)
+    .attr("stroke-width", 1.5)
+    .attr("stroke-dasharray", "4,3")
+    .attr("pointer-events", "none")
+    .style("display", "none");
+  
+  setLinkWidths();
+  joinGraph();
+  positionLabels(selection => selection);
+  
+  // Bind the graph to the node gradients, bars, labels, link gradients and links, keyed by
+  // node id and link key so that reloaded data only adds, removes and updates what changed.
+  // New elements fade in and removed ones fade out over transitionDuration; moving elements
+  // to their new positions is left to updatePositions.
+  function joinGraph(transitionDuration = 0) {
+    const fadeIn = (selection, opacity) => transitionDuration > 0
+      ? selection.attr("opacity", 0).call(entered => entered.transition().duration(transitionDuration).attr("opacity", opacity))
+      : selection.attr("opacity", opacity);
+    
+    // Removed elements lose their class so later selections (and transitions) leave them alone
+    const fadeOut = exit => exit
+      .attr("class", "exiting")
+      .attr("pointer-events", "none")
+      .transition()
+      .duration(transitionDuration)
+      .attr("opacity", 0)
+      .remove();
+    
+    // Add definitions for the linear gradients for nodes
+    nodeGradients = defs.selectAll("linearGradient.node-gradient")
+      .data(graph.nodes, d => d.id)
+      .join(
+        enter => {
+          const gradient = enter.append("linearGradient")
+            .attr("class", "node-gradient")
+            .attr("id", d => domId(`node-gradient-${d.id}`))
+            .attr("gradientUnits", "userSpaceOnUse")
+            .attr("x1", d => d.x0)
+            .attr("x2", d => d.x1);
+          
+          // Add two stops to each gradient - one with the node color and one that fades
+          // toward the background
+          gradient.append("stop")
+            .attr("offset", "0%");
+          
+          gradient.append("stop")
+            .attr("offset", "100%")
+            .attr("stop-color", theme.nodeFade);
+          
+          return gradient;
+        },
+        update => update,
+        exit => exit.attr("class", "exiting").transition().duration(transitionDuration).remove()
+      );
+    
+    nodeGradients.select("stop")
+      .attr("stop-color", d => d.color);
+    
+    // Add definitions for the linear gradients for links
+    defs.selectAll("linearGradient.link-gradient")
+      .data(graph.links, d => d.key)
+      .join(
+        enter => {
+          const gradient = enter.append("linearGradient")
+            .attr("class", "link-gradient")
+            .attr("id", d => domId(d.gradient))
+            .attr("gradientUnits", "userSpaceOnUse")
+            .attr("x1", d => d.source.x1) // End of source node
+            .attr("y1", d => d.y0)
+            .attr("x2", d => d.target.x0) // Start of target node
+            .attr("y2", d => d.y1);
+          
+          gradient.append("stop").attr("offset", 0.0).attr("class", "source-stop");
+          gradient.append("stop").attr("offset", 1.0).attr("class", "target-stop");
+          return gradient;
+        },
+        update => update,
+        exit => exit.attr("class", "exiting").transition().duration(transitionDuration).remove()
+      )
+      .call(gradient => gradient.select("stop.source-stop").attr("stop-color", d => d.source.color))
+      .call(gradient => gradient.select("stop.target-stop").attr("stop-color", d => d.target.color));
+    
+    // Define the nodes
+    nodes = nodeLayer.selectAll("rect.node")
+      .data(graph.nodes, d => d.id)
+      .join(
+        enter => enter.append("rect")
+          .classed("node", true)
+          .attr("id", d => domId(`node-${d.id}`))
+          .attr("x", d => d.x0)
+          .attr("y", d => d.y0)
+          .attr("width", d => Math.max(5, d.x1 - d.x0)) // Ensure a minimum width
+          .attr("height", d => Math.max(1, d.y1 - d.y0))
+          .attr("rx", 5) // Rounded corners
+          .attr("ry", 5)
+          .attr("fill", d => `url(#${domId(`node-gradient-${d.id}`)})`) // Use gradient instead of solid color
+          .attr("stroke-width", 1)
+          .attr("clip-path", `url(#${domId("chart-clip")})`)
+          .call(fadeIn, d => state.isNodeVisible(d) ? 0.9 : 0.2)
+          // Add titles for node hover effects
+          .call(rect => rect.append("title")),
+        update => update,
+        fadeOut
+      )
+      .attr("stroke", d => d.overdue ? "#d62728" : d3.rgb(d.color).darker());
+    
+    nodes.select("title").text(nodeTitle);
+    
+    // Nodes are buttons to assistive technology; only one at a time is in the tab order
+    nodes
+      .attr("role", "button")
+      .attr("aria-label", d => nodeAriaLabel(d, ariaDateFormat))
+      .attr("aria-pressed", d => d === state.selectedNode);
+    updateTabStop();
+    
+    // Add mouse and keyboard events to nodes. Focusing a node highlights it like hovering.
+    nodes
+      .on("mouseover", handleNodeMouseOver)
+      .on("mouseout", handleNodeMouseOut)
+      .on("click", handleNodeClick)
+      .on("focus", handleNodeFocus)
+      .on("blur", handleNodeMouseOut)
+      .on("keydown", handleNodeKeyDown)
+      .on("touchstart.tooltip", startLongPress)
+      .on("contextmenu.tooltip", event => {
+        if (!ui.touchTooltip.hidden) event.preventDefault(); // The long press showed the tooltip
+      })
+      .call(connectDrag);
+    
+    // Phase dividers and milestone diamonds drawn over each bar
+    const marks = markLayer.selectAll("g.node-marks")
+      .data(graph.nodes, d => d.id)
+      .join(
+        enter => enter.append("g")
+          .classed("node-marks", true)
+          .attr("clip-path", `url(#${domId("chart-clip")})`)
+          .call(fadeIn, d => state.isNodeVisible(d) ? 1 : 0.2),
+        update => update,
+        fadeOut
+      );
+    
+    // Ongoing projects fade out at the as-of date, with the time left until their planned end
+    // drawn as a ghost extension, or a red underline for the time they're overdue
+    marks.selectAll("rect.ongoing-tail")
+      .data(d => d.hasDefinedEndDate ? [] : [d])
+      .join("rect")
+      .attr("class", "ongoing-tail")
+      .attr("fill", `url(#${domId("ongoing-fade")})`)
+      .attr("pointer-events", "none")
+      .call(positionStatus);
+    
+    marks.selectAll("rect.planned-extension")
+      .data(d => d.plannedEndDate && d.plannedEndDate > d.endDate ? [d] : [])
+      .join(enter => enter.append("rect")
+        .attr("class", "planned-extension")
+        .call(rect => rect.append("title")))
+      .attr("fill", d => d.color)
+      .attr("fill-opacity", 0.12)
+      .attr("stroke", d => d.color)
+      .attr("stroke-dasharray", "3,2")
+      .call(positionStatus)
+      .on("click", handleNodeClick)
+      .select("title")
+      .text(d => `${d.name}\nPlanned to end ${ariaDateFormat(d.plannedEndDate)}`);
+    
+    marks.selectAll("rect.overdue-span")
+      .data(d => d.overdue ? [d] : [])
+      .join(enter => enter.append("rect")
+        .attr("class", "overdue-span")
+        .call(rect => rect.append("title")))
+      .attr("fill", "#d62728")
+      .call(positionStatus)
+      .select("title")
+      .text(d => `${d.name}\nOverdue since ${ariaDateFormat(d.plannedEndDate)}`);
+    
+    // End handles for dragging the dates, shown in edit mode
+    marks.selectAll("rect.edit-handle")
+      .data(d => [{ node: d, field: "startDate" }, { node: d, field: "endDate" }])
+      .join("rect")
+      .attr("class", "edit-handle")
+      .attr("fill", "transparent")
+      .style("cursor", "ew-resize")
+      .style("display", editing() ? null : "none")
+      .call(positionEditHandles)
+      .call(dateDrag);
+    
+    marks.selectAll("line.phase-divider")
+      .data(d => phaseDividers(d).map(date => ({ date, node: d })))
+      .join("line")
+      .attr("class", "phase-divider")
+      .attr("stroke", "#fff")
+      .attr("stroke-width", 2)
+      .attr("pointer-events", "none")
+      .call(positionDividers);
+    
+    marks.selectAll("path.milestone")
+      .data(d => d.milestones.map(milestone => ({ ...milestone, node: d })))
+      .join(enter => enter.append("path")
+        .attr("class", "milestone")
+        .call(path => path.append("title")))
+      .attr("fill", d => d3.rgb(d.node.color).darker(1.5))
+      .attr("stroke", "#fff")
+      .attr("stroke-width", 1)
+      .call(positionMilestones)
+      .on("click", (event, d) => handleNodeClick(event, d.node))
+      .select("title")
+      .text(d => `${d.name}\n${ariaDateFormat(d.date)}`);
+    
+    // Add text labels to the left of nodes
+    labelLayer.selectAll("text.node-label")
+      .data(graph.nodes, d => d.id)
+      .join(
+        enter => enter.append("text")
+          .classed("node-label", true)
+          .attr("id", d => domId(`node-label-${d.id}`))
+          .attr("x", d => d.x0 - 5) // Position just to the left of the node until placed
+          .attr("y", d => (d.y0 + d.y1) / 2)
+          .attr("fill", theme.text)
+          .attr("text-anchor", "end") // Right-align text
+          .attr("font-size", 11)
+          .attr("font-family", "Arial, sans-serif")
+          .attr("clip-path", `url(#${domId("label-clip")})`)
+          .call(fadeIn, d => state.isNodeVisible(d) ? 1 : 0.2)
+          // The full name, for labels that are truncated
+          .call(text => text.append("title")),
+        update => update,
+        fadeOut
+      )
+      .call(text => text.select("title").text(d => d.name));
+    
+    // Define the gray links
+    linkLayer.selectAll("path.link")
+      .data(graph.links, d => d.key)
+      .join(
+        enter => enter.append("path")
+          .classed("link", true)
+          .attr("d", createLinkPath)
+          .attr("stroke", "lightgrey")
+          .attr("stroke-opacity", 0.1)
+          .attr("fill", "none")
+          .attr("clip-path", `url(#${domId("chart-clip")})`)
+          .call(fadeIn, 1)
+          // Add <title> hover effect on links
+          .call(path => path.append("title")),
+        update => update,
+        fadeOut
+      )
+      .attr("stroke-width", d => d.width)
+      .attr("stroke-dasharray", d => graph.linkDashes.get(d.type) || null)
+      .call(path => path.select("title").text(d => linkTitle(d, ui.valueLabel)));
+    
+    gradientLinks = gradientLinkLayer.selectAll("path.gradient-link")
+      .data(graph.links, d => d.key)
+      .join(
+        enter => enter.append("path")
+          .classed("gradient-link", true)
+          .attr("id", d => domId(d.path))
+          .attr("d", createLinkPath)
+          .attr("stroke", d => `url(#${domId(d.gradient)})`)
+          .attr("stroke-opacity", 0)
+          .attr("fill", "none")
+          .attr("clip-path", `url(#${domId("chart-clip")})`)
+          .each(setDash)
+          // The colored link sits on top of the gray one, so it needs the hover text too
+          .call(path => path.append("title")),
+        update => update,
+        fadeOut
+      )
+      .attr("stroke-width", d => d.width)
+      .call(path => path.select("title").text(d => linkTitle(d, ui.valueLabel)));
+  }
+  
+  // Place phase dividers across their bars and milestones on their bars' centerlines
+  function positionDividers(selection) {
+    selection
+      .attr("x1", d => xScale(d.date))
+      .attr("x2", d => xScale(d.date))
+      .attr("y1", d => d.node.y0 + 1)
+      .attr("y2", d => d.node.y1 - 1);
+  }
+  
+  // Place the ongoing tail over the end of its bar, the planned extension after the bar and
+  // the overdue underline from the planned end to the as-of date
+  function positionStatus(selection) {
+    const tailWidth = d => Math.min(24, Math.max(5, d.x1 - d.x0) / 2);
+    selection.filter(".ongoing-tail")
+      .attr("x", d => Math.max(d.x0, d.x1 - tailWidth(d)))
+      .attr("y", d => d.y0)
+      .attr("width", tailWidth)
+      .attr("height", d => Math.max(1, d.y1 - d.y0));
+    selection.filter(".planned-extension")
+      .attr("x", d => d.x1)
+      .attr("y", d => d.y0)
+      .attr("width", d => Math.max(0, xScale(d.plannedEndDate) - d.x1))
+      .attr("height", d => Math.max(1, d.y1 - d.y0))
+      .attr("rx", 3);
+    selection.filter(".overdue-span")
+      .attr("x", d => xScale(d.plannedEndDate))
+      .attr("y", d => d.y1 + 1)
+      .attr("width", d => Math.max(0, d.x1 - xScale(d.plannedEndDate)))
+      .attr("height", 3);
+  }
+  
+  // Place the labels where they fit (see node-labels.js) and draw leader lines to the ones
+  // nudged away from their bar. Labels are re-placed as bars move or change width.
+  function positionLabels(move) {
+    const placements = placeLabels(graph.nodes, { measure: measureLabel, left: -margin.left, right: innerWidth });
+    const placementOf = d => placements.get(d.id);
+    const labels = labelLayer.selectAll("text.node-label");
+    
+    // Two-line labels are centered on the bar; labels inside the bar contrast with its color
+    labels
+      .attr("text-anchor", d => placementOf(d).anchor)
+      .each(function(d) {
+        const { lines, inside } = placementOf(d);
+        d3.select(this).selectAll("tspan")
+          .data(lines)
+          .join("tspan")
+          .attr("dy", (line, i) => i === 0 ? `${0.35 - (lines.length - 1) * 0.55}em` : "1.1em")
+          .attr("fill", inside ? (d3.hsl(d.color).l > 0.6 ? "#333" : "#fff") : null)
+          .text(line => line);
+      });
+    
+    move(labels)
+      .attr("x", d => placementOf(d).x)
+      .attr("y", d => placementOf(d).y);
+    move(labels.selectAll("tspan"))
+      .attr("x", function() { return placementOf(d3.select(this.parentNode).datum()).x; });
+    
+    const leaders = labelLayer.selectAll("line.node-label-connector")
+      .data(graph.nodes.filter(d => placementOf(d).leader), d => d.id)
+      .join(enter => enter.append("line")
+        .attr("class", "node-label-connector")
+        .attr("id", d => domId(`node-connector-${d.id}`))
+        .attr("stroke", theme.connector)
+        .attr("stroke-width", 0.5)
+        .attr("stroke-dasharray", "2,2")
+        .attr("opacity", d => state.isNodeVisible(d) ? 1 : 0.2)
+        .attr("pointer-events", "none")
+        .attr("clip-path", `url(#${domId("label-clip")})`)
+        .call(line => placeLeaders(line, placementOf)));
+    move(leaders).call(line => placeLeaders(line, placementOf));
+  }
+  
+  function placeLeaders(selection, placementOf) {
+    selection
+      .attr("x1", d => placementOf(d).leader.x1)
+      .attr("y1", d => placementOf(d).leader.y1)
+      .attr("x2", d => placementOf(d).leader.x2)
+      .attr("y2", d => placementOf(d).leader.y2);
+  }
+  
+  // Place the edit handles over each bar's start and end
+  function positionEditHandles(selection) {
+    selection
+      .attr("x", d => (d.field === "startDate" ? d.node.x0 : d.node.x0 + Math.max(5, d.node.x1 - d.node.x0)) - 4)
+      .attr("y", d => d.node.y0)
+      .attr("width", 8)
+      .attr("height", d => Math.max(1, d.node.y1 - d.node.y0));
+  }
+  
+  // "Today", or the date the timeline is shown as of
+  function todayLabel() {
+    return d3.timeDay.floor(graph.asOf).getTime() === d3.timeDay.floor(new Date()).getTime()
+      ? "Today"
+      : `As of ${ariaDateFormat(graph.asOf)}`;
+  }
+  
+  // Draw the today line at the as-of date, from the top of the chart down to the axis
+  function positionTodayLine(selection) {
+    const top = Math.min(0, d3.min(graph.nodes, d => d.y0) || 0) - 12;
+    const x = xScale(graph.asOf);
+    selection.select("line")
+      .attr("x1", x)
+      .attr("x2", x)
+      .attr("y1", top + 4)
+      .attr("y2", graph.finalY + 20);
+    selection.select("text")
+      .attr("x", x)
+      .attr("y", top);
+  }
+  
+  function positionMilestones(selection) {
+    selection
+      .attr("d", d => d3.symbol(d3.symbolDiamond, Math.pow(Math.min(14, d.node.y1 - d.node.y0), 2) / 2)())
+      .attr("transform", d => `translate(${xScale(d.date)}, ${(d.node.y0 + d.node.y1) / 2})`);
+  }
+  
+  // Size links with the control panel's width scale and show the scale in the legend
+  function setLinkWidths() {
+    drawLinkLegend(sizeLinks(d3, graph, controls));
+  }
+  
+  // Re-size the links after the width scale changed, then re-stack them (and re-size
+  // flow-sized nodes) to fit
+  function updateLinkWidths() {
+    setLinkWidths();
+    relayout();
+    view.selectAll("path.link, path.gradient-link")
+      .transition("link-width")
+      .duration(200)
+      .attr("stroke-width", d => d.width);
+  }
+  
+  // Show what link width and dashes mean in the control panel: a few sample values drawn at
+  // their widths, then a sample of each connection type's dash pattern
+  function drawLinkLegend(linkWidth) {
+    const rowHeight = 18;
+    const rows = [
+      ...legendValues(graph.links).map(value => ({ width: linkWidth(value), dash: null, label: `${value}` })),
+      ...Array.from(graph.linkDashes, ([type, dash]) => ({ width: 2, dash, label: type }))
+    ];
+    
+    const legend = d3.select(controls.linkLegend);
+    legend.selectAll("*").remove();
+    legend.append("div")
+      .attr("class", "link-legend-title")
+      .text(`Link width: ${ui.valueLabel.toLowerCase()}`);
+    
+    const entries = legend.append("svg")
+      .attr("width", "100%")
+      .attr("height", rows.length * rowHeight)
+      .selectAll("g")
+      .data(rows)
+      .join("g")
+      .attr("transform", (d, i) => `translate(0, ${i * rowHeight + rowHeight / 2})`);
+    
+    entries.append("line")
+      .attr("x2", 30)
+      .attr("stroke", "#999")
+      .attr("stroke-width", d => d.width)
+      .attr("stroke-dasharray", d => d.dash);
+    
+    entries.append("text")
+      .attr("x", 38)
+      .attr("dy", "0.35em")
+      .attr("font-size", 11)
+      .text(d => d.label);
+  }
+  
+  // Dash pattern for a fully drawn colored link: its type's pattern, or one dash as long as the
+  // link for an untyped (solid) link
+  function drawnDash(link, length) {
+    return graph.linkDashes.get(link.type) || `${length} ${length}`;
+  }
+  
+  // Define the dash behavior for colored gradients
+  function setDash(link) {
+    let el = byId(link.path);
+    if (!el.empty()) {
+      let length = el.node().getTotalLength();
+      el.attr("stroke-dasharray", `${length} ${length}`)
+        .attr("stroke-dashoffset", length);
+    }
   }
   
   // Node highlighting function
   function highlightNode(node) {
     if (!state.isNodeVisible(node)) return;
     
-    d3.select(`#node-${node.id}`)
+    byId(`node-${node.id}`)
       .transition()
       .duration(200)
       .attr("opacity", 1)
       .attr("stroke-width", 2);
     
     // Also highlight the label
-    d3.select(`#node-label-${node.id}`)
+    byId(`node-label-${node.id}`)
       .transition()
       .duration(200)
       .attr("font-weight", "bold")
-      .attr("fill", "#000");
+      .attr("fill", theme.strongText);
       
     // Highlight the connector line
-    d3.select(`#node-connector-${node.id}`)
+    byId(`node-connector-${node.id}`)
       .transition()
       .duration(200)
-      .attr("stroke", "#999")
+      .attr("stroke", theme.connectorHighlight)
       .attr("stroke-width", 1)
       .attr("stroke-dasharray", "none");
     
-    // Animate the node gradient
-    defs.select(`#node-gradient-${node.id}`)
-      .selectAll("stop")
-      .transition()
-      .duration(duration)
-      .attr("offset", function(d, i) {
-        return i === 0 ? "100%" : "100%";  // Both stops move to 100%
-      });
+    // Animate the node gradient, sweeping the color across the bar one phase at a time
+    // (both stops move together, so the color has a sharp edge)
+    const stops = phaseStops(node);
+    let sweep = byId(`node-gradient-${node.id}`).selectAll("stop").transition();
+    stops.forEach((stop, i) => {
+      sweep = (i === 0 ? sweep : sweep.transition())
+        .duration(duration / stops.length)
+        .attr("offset", `${stop * 100}%`);
+    });
   }
   
   // Reset node appearance
   function resetNode(node) {
-    d3.select(`#node-${node.id}`)
+    byId(`node-${node.id}`)
       .transition()
       .duration(200)
       .attr("opacity", state.isNodeVisible(node) ? 0.9 : 0.2)
       .attr("stroke-width", 1);
     
     // Reset label
-    d3.select(`#node-label-${node.id}`)
+    byId(`node-label-${node.id}`)
       .transition()
       .duration(200)
       .attr("font-weight", "normal")
-      .attr("fill", "#333")
+      .attr("fill", theme.text)
       .attr("opacity", state.isNodeVisible(node) ? 1 : 0.2);
       
     // Reset connector line
-    d3.select(`#node-connector-${node.id}`)
+    byId(`node-connector-${node.id}`)
       .transition()
       .duration(200)
-      .attr("stroke", "#ccc")
+      .attr("stroke", theme.connector)
       .attr("stroke-width", 0.5)
       .attr("stroke-dasharray", "2,2")
       .attr("opacity", state.isNodeVisible(node) ? 1 : 0.2);
     
     // Reset gradient
-    defs.select(`#node-gradient-${node.id}`)
+    byId(`node-gradient-${node.id}`)
       .selectAll("stop")
       .transition()
       .duration(200)
@@ -622,25 +1900,33 @@ function animateTimelineSequentially(graph, view, state) {
   
   // Reset all nodes
   function resetAllNodes() {
+    state.highlightedPerson = null;
+    styleUtilization();
+    
     nodes
       .transition()
       .duration(200)
       .attr("opacity", d => state.isNodeVisible(d) ? 0.9 : 0.2)
       .attr("stroke-width", 1);
     
+    view.selectAll("g.node-marks")
+      .transition()
+      .duration(200)
+      .attr("opacity", d => state.isNodeVisible(d) ? 1 : 0.2);
+    
     // Reset all labels
-    d3.selectAll("text.node-label")
+    view.selectAll("text.node-label")
       .transition()
       .duration(200)
       .attr("font-weight", "normal")
-      .attr("fill", "#333")
+      .attr("fill", theme.text)
       .attr("opacity", d => state.isNodeVisible(d) ? 1 : 0.2);
       
     // Reset all connector lines
-    d3.selectAll("line.node-label-connector")
+    view.selectAll("line.node-label-connector")
       .transition()
       .duration(200)
-      .attr("stroke", "#ccc")
+      .attr("stroke", theme.connector)
       .attr("stroke-width", 0.5)
       .attr("stroke-dasharray", "2,2")
       .attr("opacity", d => state.isNodeVisible(d) ? 1 : 0.2);
@@ -658,89 +1944,165 @@ function animateTimelineSequentially(graph, view, state) {
     resetLinks();
   }
   
-  // Link animation function
-  function animateLinksFromNode(node, depth = 0) {
-    // Limit recursion depth for safety
-    if (depth > 10) return;
+  // Trace the selected node's lineage in the direction and depth picked in the control panel,
+  // and dim everything outside it. Nodes and labels are reset too, so the previous lineage's
+  // highlights don't linger.
+  function traceSelection(node) {
+    const lineage = traceLineage(node, {
+      direction: controls.lineageDirection.value,
+      maxDepth: +controls.lineageDepth.value || Infinity,
+      isVisible: n => state.isNodeVisible(n)
+    });
+    const inLineage = d => state.isNodeVisible(d) && lineage.nodeIds.has(d.id);
     
-    if (!state.isNodeVisible(node) || !node.sourceLinks || node.sourceLinks.length === 0) {
-      return;
-    }
+    state.lineage = lineage;
+    state.animatedNodes = new Set(lineage.nodeIds);
+    state.highlightedPerson = null;
+    styleUtilization();
+    
+    nodes
+      .transition()
+      .duration(200)
+      .attr("opacity", d => inLineage(d) ? 0.9 : 0.2)
+      .attr("stroke-width", 1);
     
-    // Find visible outgoing links
-    let visibleLinks = node.sourceLinks.filter(link => state.isNodeVisible(link.target));
+    view.selectAll("text.node-label")
+      .transition()
+      .duration(200)
+      .attr("font-weight", "normal")
+      .attr("fill", theme.text)
+      .attr("opacity", d => inLineage(d) ? 1 : 0.2);
     
-    if (visibleLinks.length === 0) return;
+    view.selectAll("g.node-marks")
+      .transition()
+      .duration(200)
+      .attr("opacity", d => inLineage(d) ? 1 : 0.2);
+  }
+  
+  // Animate a lineage's links level by level, flowing away from the selected node, and light up
+  // each node as its link arrives. Links that close a cycle (drawn dashed) and second routes to
+  // a node are drawn when the rest has finished, and are never followed.
+  function animateLineage(lineage) {
+    const step = duration + 200; // Each level starts once the one before has lit up
+    const treeLinks = new Set();
+    let levelCount = 0;
     
-    // Keep track of all nodes in the animation chain
-    if (!window.animatedNodes) {
-      window.animatedNodes = new Set();
-    }
-    window.animatedNodes.add(node.id);
+    // Descendant links draw from source to target; ancestor links draw from the target end
+    // back toward the ancestor
+    [[lineage.descendants, 1], [lineage.ancestors, -1]].forEach(([tree, flow]) => {
+      lineageLevels(tree).forEach((level, i) => {
+        levelCount = Math.max(levelCount, i + 1);
+        
+        level.forEach(entry => {
+          treeLinks.add(entry.link);
+          const el = byId(entry.link.path);
+          if (el.empty()) return;
+          
+          const length = el.node().getTotalLength();
+          el.attr("stroke-dasharray", `${length} ${length}`)
+            .attr("stroke-dashoffset", flow * length)
+            .transition()
+            .delay(i * step)
+            .duration(duration)
+            .ease(d3.easeLinear)
+            .on("start", function() {
+              d3.select(this).attr("stroke-opacity", 0.8);
+            })
+            .attr("stroke-dashoffset", 0)
+            .on("end", function() {
+              d3.select(this).attr("stroke-dasharray", drawnDash(entry.link, length));
+              highlightNode(entry.node);
+            });
+        });
+      });
+    });
     
-    // For each visible link, animate it
-    visibleLinks.forEach(link => {
-      // Add target node to the animated set
-      window.animatedNodes.add(link.target.id);
+    lineage.links.forEach(link => {
+      if (treeLinks.has(link)) return;
+      const cycle = lineage.cycles.includes(link);
       
-      // Animate the link
-      view.select(`#${link.path}`)
-        .attr("stroke-opacity", 0.8)
+      byId(link.path)
+        .classed("cycle-link", cycle)
         .transition()
-        .duration(duration)
-        .ease(d3.easeLinear)
-        .attr("stroke-dashoffset", 0)
-        .on("end", () => {
-          if (state.selectedNode) {
-            // Highlight the target node
-            highlightNode(link.target);
-            
-            // Continue the animation chain if the target has outgoing links
-            // Use setTimeout to create a slight delay between levels
-            setTimeout(() => {
-              // Continue animation with the next node in the chain
-              animateLinksFromNode(link.target, depth + 1);
-            }, 200);
-          }
-        });
+        .delay(levelCount * step)
+        .duration(0)
+        .attr("stroke-opacity", 0.8)
+        .attr("stroke-dasharray", cycle ? "4,3" : "none")
+        .attr("stroke-dashoffset", 0);
     });
   }
   
+  // Animate the current lineage's links after `delay` ms, unless another lineage has been
+  // traced by then
+  function replayLineage(delay) {
+    clearTimeout(state.lineageTimeout);
+    const lineage = state.lineage;
+    state.lineageTimeout = setTimeout(() => {
+      if (state.lineage === lineage) animateLineage(lineage);
+    }, delay);
+  }
+  
+  // Trace the selected node's lineage again, after the filters or trace settings changed
+  function retraceSelection() {
+    const node = state.selectedNode;
+    
+    resetAllNodes();
+    traceSelection(node);
+    highlightNode(node);
+    showInfoPanel(node);
+    animateLineage(state.lineage);
+  }
+  
+  // Undo the lineage highlighting and dimming
+  function clearLineage() {
+    resetAllNodes();
+    state.lineage = null;
+  }
+  
   // Reset all links
   function resetLinks() {
     if (!gradientLinks) return;
     
     gradientLinks
       .interrupt() // Stop any ongoing transitions
+      .classed("cycle-link", false)
       .attr("stroke-opacity", 0)
       .each(setDash);
       
     // Clear the set of animated nodes
-    window.animatedNodes = new Set();
+    state.animatedNodes = new Set();
   }
   
   // Show the information panel with node details
   function showInfoPanel(node) {
     const dateFormat = d3.timeFormat("%b %d, %Y");
+    closeEditForm();
     
     // Get the panel
-    const panel = document.getElementById('info-panel');
+    const { panel } = ui.infoPanel;
     
     // Set node color indicator
-    const colorIndicator = panel.querySelector('.node-color-indicator');
-    colorIndicator.style.backgroundColor = node.color;
+    ui.infoPanel.colorIndicator.style.backgroundColor = node.color;
     
     // Populate the panel with node information
-    document.getElementById('node-name').textContent = node.name;
-    document.getElementById('node-id').textContent = node.id;
-    document.getElementById('node-start-date').textContent = dateFormat(node.startDate);
-    document.getElementById('node-end-date').textContent = node.hasDefinedEndDate ? dateFormat(node.endDate) : "-";
-    document.getElementById('node-duration').textContent = node.duration;
-    document.getElementById('node-category').textContent = node.category;
-    document.getElementById('node-phase').textContent = `${node.phase || '1'}`;
+    ui.infoPanel.name.textContent = node.name;
+    ui.infoPanel.id.textContent = node.id;
+    ui.infoPanel.startDate.textContent = dateFormat(node.startDate);
+    ui.infoPanel.endDate.textContent = describeEnd(node, dateFormat);
+    // Duration comes from the dates; flag a hand-typed duration that disagrees
+    const durationElement = ui.infoPanel.duration;
+    durationElement.textContent = node.duration;
+    if (node.durationMismatch) {
+      const mismatch = document.createElement('div');
+      mismatch.className = 'duration-mismatch';
+      mismatch.textContent = `⚠ ${node.durationMismatch}`;
+      durationElement.appendChild(mismatch);
+    }
+    ui.infoPanel.category.textContent = node.category;
+    ui.infoPanel.phase.textContent = `${node.phase || '1'}`;
 
     // Display skills as tags
-    const skillsElement = document.getElementById('node-skills');
+    const skillsElement = ui.infoPanel.skills;
     skillsElement.innerHTML = '';
 
     if (node.skills && node.skills.length > 0) {
@@ -755,11 +2117,32 @@ function animateTimelineSequentially(graph, view, state) {
     }
 
     // Format description text for longer content
-    const descriptionElement = document.getElementById('node-description');
+    const descriptionElement = ui.infoPanel.description;
     descriptionElement.textContent = node.description || 'No description available';
     
+    // List the phases with their dates, then the milestones
+    const scheduleElement = ui.infoPanel.schedule;
+    scheduleElement.innerHTML = '';
+    if (node.phases.length === 0 && node.milestones.length === 0) {
+      scheduleElement.textContent = 'None';
+    } else {
+      const scheduleList = document.createElement('ul');
+      scheduleList.className = 'schedule-list';
+      [
+        ...node.phases.map(phase => `${phase.name}: ${dateFormat(phase.startDate)} – ${dateFormat(phase.endDate)}`),
+        ...node.milestones.map(milestone => `◆ ${milestone.name}: ${dateFormat(milestone.date)}`)
+      ].forEach(text => {
+        const item = document.createElement('li');
+        item.textContent = text;
+        scheduleList.appendChild(item);
+      });
+      scheduleElement.appendChild(scheduleList);
+    }
+    
+    ui.infoPanel.team.textContent = node.assignees.length > 0 ? describeTeam(node) : 'No one assigned';
+    
     // Show connections information
-    const connectionsElement = document.getElementById('node-connections');
+    const connectionsElement = ui.infoPanel.connections;
     connectionsElement.innerHTML = '';
     
     if (node.sourceLinks.length === 0 && node.targetLinks.length === 0) {
@@ -812,113 +2195,415 @@ function animateTimelineSequentially(graph, view, state) {
       }
     }
     
+    // List the traced lineage as trees, with each project's total link value from this one
+    renderLineage(ui.infoPanel.lineage, state.lineage && state.lineage.root === node ? state.lineage : null);
+    
     // Show the panel
     panel.style.display = 'block';
+    markSelection(node);
     
-    // Set up the close button
-    const closeButton = panel.querySelector('.close-button');
-    closeButton.onclick = function(event) {
+    // Read the details out to screen readers
+    ui.infoPanel.announcer.textContent = [`Selected ${node.name}.`,
+      ...Array.from(panel.querySelectorAll('.info-row'), row =>
+        `${row.querySelector('.info-label').textContent} ${row.querySelector('.info-value').textContent.trim()}.`)
+    ].join(' ');
+    
+    // Set up the close button, and let Escape close the panel from inside it too
+    ui.infoPanel.closeButton.onclick = function(event) {
       event.stopPropagation();
-      hideInfoPanel();
-      
-      // Also deselect the node
-      if (state.selectedNode) {
-        resetNode(state.selectedNode);
-        resetLinks();
-        state.selectedNode = null;
-      }
+      clearSelection();
+    };
+    panel.onkeydown = function(event) {
+      if (event.key === "Escape") clearSelection();
     };
   }
   
-  // Hide the information panel
-  function hideInfoPanel() {
-    const panel = document.getElementById('info-panel');
-    panel.style.display = 'none';
+  // Deselect the selected node and hide its details, handing keyboard focus back to the node
+  // if it was in the panel
+  function clearSelection() {
+    const node = state.selectedNode;
+    const hadFocus = ui.infoPanel.panel.contains(document.activeElement);
+    hideInfoPanel();
+    if (!node) return;
+    
+    clearLineage();
+    state.selectedNode = null;
+    events.call("select", null, null);
+    ui.infoPanel.announcer.textContent = "Selection cleared.";
+    if (hadFocus) focusNode(node);
   }
   
-  // Handle node click
-  function handleNodeClick(event, node) {
-    event.stopPropagation();
+  // Fill the info panel's lineage row: an upstream and a downstream tree, then any cycles found
+  function renderLineage(element, lineage) {
+    element.innerHTML = '';
     
-    // Stop any ongoing animation
-    state.stopAnimation();
-
-    if (!state.isNodeVisible(node)) return;
+    const sections = lineage ? [['Upstream', lineage.ancestors], ['Downstream', lineage.descendants]]
+      .filter(([, tree]) => tree && tree.children.length > 0) : [];
     
-    if (state.selectedNode === node) {
-      // Deselect if clicking the same node
-      state.selectedNode = null;
-      
-      // Reset all nodes that were part of the animation chain
-      if (window.animatedNodes) {
-        window.animatedNodes.forEach(nodeId => {
-          const animatedNode = graph.nodes.find(n => n.id === nodeId);
-          if (animatedNode) {
-            resetNode(animatedNode);
-          }
-        });
-      }
+    if (sections.length === 0) {
+      element.textContent = 'None';
+      return;
+    }
+    
+    const treeList = entry => {
+      const list = document.createElement('ul');
+      list.className = 'lineage-tree';
       
-      resetNode(node);
-      resetLinks();
-      hideInfoPanel();
-    } else {
-      // If another node is selected, reset it and all connected nodes
-      if (state.selectedNode) {
-        // Reset all nodes that were part of the animation chain
-        if (window.animatedNodes) {
-          window.animatedNodes.forEach(nodeId => {
-            const animatedNode = graph.nodes.find(n => n.id === nodeId);
-            if (animatedNode) {
-              resetNode(animatedNode);
-            }
-          });
-        }
+      entry.children.forEach(child => {
+        const item = document.createElement('li');
+        const value = document.createElement('span');
+        value.className = 'lineage-value';
+        value.textContent = ` (${child.value})`;
+        value.title = 'Total link value from the selected project';
         
-        resetNode(state.selectedNode);
-        resetLinks();
-      }
-      
-      // Select the clicked node
-      state.selectedNode = node;
-      highlightNode(node);
-      
-      // Wait for the gradient animation to finish, then animate links
-      setTimeout(() => {
-        animateLinksFromNode(node);
-      }, duration + 1);
+        item.appendChild(document.createTextNode(child.node.name));
+        item.appendChild(value);
+        if (child.children.length > 0) item.appendChild(treeList(child));
+        list.appendChild(item);
+      });
       
-      // Show info panel
-      showInfoPanel(node);
-    }
-  }
-  
-  // Handle node mouse over
-  function handleNodeMouseOver(event, node) {
-    if (!state.isNodeVisible(node) || state.selectedNode) return;
+      return list;
+    };
     
-    highlightNode(node);
-  }
-  
-  // Handle node mouse out
-  function handleNodeMouseOut(event, node) {
-    if (!state.isNodeVisible(node) || state.selectedNode === node) return;
+    sections.forEach(([heading, tree]) => {
+      const header = document.createElement('div');
+      header.className = 'lineage-heading';
+      header.textContent = `${heading}:`;
+      element.appendChild(header);
+      element.appendChild(treeList(tree));
+    });
     
-    resetNode(node);
+    lineage.cycles.forEach(link => {
+      const cycle = document.createElement('div');
+      cycle.className = 'lineage-cycle';
+      cycle.textContent = `↺ Cycle: ${link.source.name} → ${link.target.name} leads back into the lineage`;
+      element.appendChild(cycle);
+    });
   }
   
-  // Add mouse events to nodes
-  nodes
-    .on("mouseover", handleNodeMouseOver)
-    .on("mouseout", handleNodeMouseOut)
-    .on("click", handleNodeClick);
+  // Hide the information panel
+  function hideInfoPanel() {
+    closeEditForm();
+    ui.infoPanel.panel.style.display = 'none';
+    markSelection(null);
+  }
   
-  // Filter functions
-  function applyFilter() {
-    const selectedSkills = getSelectedSkills();
+  // Show which node is selected on the nodes' aria-pressed and in the table view
+  function markSelection(node) {
+    nodes.attr("aria-pressed", d => d === node);
+    ui.dataTable.querySelectorAll('tbody tr').forEach(row => {
+      const selected = !!node && row.dataset.id === String(node.id);
+      row.classList.toggle('selected', selected);
+      row.querySelector('.data-table-select').setAttribute('aria-pressed', selected);
+    });
+    if (node) {
+      state.focusNode = node;
+      updateTabStop();
+    }
+  }
+  
+  // Keep exactly one visible node in the tab order: the last one focused or selected, or the
+  // earliest project when that one is gone or filtered out
+  function updateTabStop() {
+    const visible = graph.nodes.filter(node => state.isNodeVisible(node));
+    if (!visible.includes(state.focusNode)) {
+      state.focusNode = visible.length > 0 ? visible.reduce((a, b) => b.startDate < a.startDate ? b : a) : null;
+    }
+    nodes
+      .attr("tabindex", d => d === state.focusNode ? 0 : -1)
+      .attr("aria-disabled", d => state.isNodeVisible(d) ? null : true);
+  }
+  
+  // Move keyboard focus to a node
+  function focusNode(node) {
+    state.focusNode = node;
+    updateTabStop();
+    const element = byId(`node-${node.id}`).node();
+    if (element) element.focus();
+  }
+  
+  // Highlight a node that got keyboard focus, as hovering does
+  function handleNodeFocus(event, node) {
+    state.focusNode = node;
+    updateTabStop();
+    handleNodeMouseOver(event, node);
+  }
+  
+  // Arrow keys move between nodes, Enter or Space selects the focused node and Escape
+  // clears the selection
+  function handleNodeKeyDown(event, node) {
+    if (event.key === "Enter" || event.key === " ") {
+      event.preventDefault();
+      if (state.selectedNode !== node) handleNodeClick(event, node);
+    } else if (event.key === "Escape") {
+      clearSelection();
+    } else if (event.key.startsWith("Arrow")) {
+      event.preventDefault();
+      const next = arrowKeyTarget(node, event.key, graph.nodes, n => state.isNodeVisible(n));
+      if (next) {
+        handleNodeMouseOut(event, node);
+        focusNode(next);
+      }
+    }
+  }
+  
+  // Show the projects that pass the filters as a table instead of the chart, or go back
+  function setTableView(enabled) {
+    svg.style("display", enabled ? "none" : null);
+    ui.dataTable.hidden = !enabled;
+    drawDataTable();
+  }
+  
+  // Rebuild the table view, when it's showing
+  function drawDataTable() {
+    if (ui.dataTable.hidden) return;
+    
+    const visible = graph.nodes.filter(node => state.isNodeVisible(node));
+    renderDataTable(ui.dataTable, visible, {
+      dateFormat: ariaDateFormat,
+      caption: `${ui.title ? `${ui.title}: ` : ""}${visible.length} of ${graph.nodes.length} projects`,
+      selectedId: state.selectedNode ? state.selectedNode.id : null,
+      onSelect: node => handleNodeClick(null, node)
+    });
+  }
+  
+  // Run the schedule analysis over the visible projects when it's turned on: outline the
+  // critical path's projects and draw its links in orange, draw links whose target started
+  // before the source ended dashed in red, label both with their handoff lag, and list the
+  // results under the chart
+  function drawScheduleAnalysis() {
+    const enabled = controls.scheduleToggle.checked;
+    const analysis = enabled ? analyzeSchedule(graph.nodes, node => state.isNodeVisible(node)) : null;
+    const path = analysis && analysis.criticalPath && analysis.criticalPath.links.length > 0 ? analysis.criticalPath : null;
+    const critical = new Set(path ? path.links : []);
+    const lagText = d => d.lagDays === null ? "running"
+      : `${d.lagDays > 0 ? "+" : d.lagDays < 0 ? "−" : ""}${Math.abs(d.lagDays)}d`;
+    const flagged = d => critical.has(d.link) || d.kind === "overlap";
     
-    state.filteredSkills = selectedSkills;
+    analysisLayer.selectAll("rect.critical-outline")
+      .data(path ? path.nodes : [], d => d.id)
+      .join("rect")
+      .attr("class", "critical-outline")
+      .attr("fill", "none")
+      .attr("stroke", "#ff7f0e")
+      .attr("stroke-width", 3)
+      .attr("rx", 5)
+      .attr("pointer-events", "none")
+      .attr("clip-path", `url(#${domId("chart-clip")})`);
+    
+    analysisLayer.selectAll("path.handoff")
+      .data(analysis ? analysis.handoffs : [], d => d.link.key)
+      .join(enter => enter.append("path")
+        .attr("class", "handoff")
+        .attr("fill", "none")
+        .attr("clip-path", `url(#${domId("chart-clip")})`)
+        .call(handoff => handoff.append("title")))
+      .attr("stroke", d => critical.has(d.link) ? "#ff7f0e" : "#d62728")
+      .attr("stroke-opacity", d => flagged(d) ? 0.75 : 0) // Unflagged links only carry a tooltip
+      .attr("stroke-width", d => Math.max(2, d.link.width))
+      .attr("stroke-dasharray", d => critical.has(d.link) ? null : "5,3")
+      .select("title")
+      .text(d => `${d.link.source.name} → ${d.link.target.name}\n` +
+        (d.kind === "running" ? "The source is still running, so there's no handoff lag yet"
+          : d.kind === "overlap" ? `Overlap: started ${-d.lagDays} days before the source ended`
+          : d.kind === "gap" ? `Gap of ${d.lagDays} days after the source ended` : "Handed off the day the source ended") +
+        (critical.has(d.link) ? "\nOn the critical path" : ""));
+    
+    analysisLayer.selectAll("text.handoff-lag")
+      .data(analysis ? analysis.handoffs.filter(flagged) : [], d => d.link.key)
+      .join("text")
+      .attr("class", "handoff-lag")
+      .attr("text-anchor", "middle")
+      .attr("dy", "-0.3em")
+      .attr("font-size", 10)
+      .attr("font-family", "Arial, sans-serif")
+      .attr("fill", d => critical.has(d.link) ? "#c55a00" : "#d62728")
+      .attr("pointer-events", "none")
+      .text(lagText);
+    
+    positionScheduleAnalysis(selection => selection);
+    
+    ui.scheduleReport.hidden = !enabled;
+    if (enabled) {
+      renderScheduleReport(ui.scheduleReport, analysis, {
+        dateFormat: ariaDateFormat,
+        onSelect: node => {
+          if (state.selectedNode !== node) handleNodeClick(null, node);
+        }
+      });
+    } else {
+      ui.scheduleReport.innerHTML = '';
+    }
+  }
+  
+  // Move the schedule analysis' marks to the current layout, through `move` (see updatePositions)
+  function positionScheduleAnalysis(move) {
+    move(analysisLayer.selectAll("rect.critical-outline"))
+      .attr("x", d => d.x0 - 1)
+      .attr("y", d => d.y0 - 1)
+      .attr("width", d => Math.max(5, d.x1 - d.x0) + 2)
+      .attr("height", d => Math.max(1, d.y1 - d.y0) + 2);
+    move(analysisLayer.selectAll("path.handoff"))
+      .attr("d", d => createLinkPath(d.link));
+    move(analysisLayer.selectAll("text.handoff-lag"))
+      .attr("x", d => (d.link.source.x1 + d.link.target.x0) / 2)
+      .attr("y", d => (d.link.y0 + d.link.y1) / 2);
+  }
+  
+  // Redraw the skill analytics view picked in the control panel. It counts every project, so
+  // that clicking one of its shapes filters the timeline to the projects behind it.
+  function drawSkillView() {
+    renderSkillView(d3, ui.skillView, controls.skillViewSelect.value, graph.nodes, {
+      width: width - margin.right,
+      palette: controls.paletteSelect.value,
+      onPick: setFilters
+    });
+  }
+  
+  function editing() {
+    return controls.editToggle.checked;
+  }
+  
+  // Show or hide the edit handles, and put the edit form away when leaving edit mode
+  function setEditMode(enabled) {
+    svg.classed("editing", enabled);
+    markLayer.selectAll("rect.edit-handle").style("display", enabled ? null : "none");
+    if (!enabled) closeEditForm();
+  }
+  
+  // Stretch the bar to the dragged date as a preview; the edit is made on release
+  function dragDate(event, d) {
+    const { node, field } = d;
+    d.date = d3.timeDay.round(xScale.invert(event.x));
+    const x = xScale(d.date);
+    const [x0, x1] = field === "startDate"
+      ? [Math.min(x, node.x1), node.x1]
+      : [node.x0, Math.max(x, node.x0)];
+    
+    nodes.filter(n => n === node)
+      .attr("x", x0)
+      .attr("width", Math.max(5, x1 - x0));
+    d3.select(this).attr("x", x - 4);
+  }
+  
+  function dropDate(event, d) {
+    if (!d.date) return;
+    const edit = { type: "project", id: d.node.id, changes: { [d.field]: d3.timeFormat("%Y-%m-%d")(d.date) } };
+    delete d.date;
+    
+    // A turned-down edit leaves the bar where it was
+    if (!ui.editor.apply(edit)) updatePositions(duration);
+  }
+  
+  // Connect the dragged-from project to the one the pointer was released over, asking for the
+  // connection's value (the current value if they're already connected)
+  function dropConnection(event, source) {
+    connector.style("display", "none");
+    const target = graph.nodes.find(n => n !== source && state.isNodeVisible(n) &&
+      event.x >= n.x0 && event.x <= n.x0 + Math.max(5, n.x1 - n.x0) && event.y >= n.y0 && event.y <= n.y1);
+    if (!target) return;
+    
+    const existing = source.sourceLinks.find(link => link.target === target);
+    const value = window.prompt(`${ui.valueLabel} of the connection from "${source.name}" to "${target.name}":`,
+      existing ? existing.value : 1);
+    if (value === null) return;
+    
+    ui.editor.apply({ type: "connection", source: source.id, target: target.id, value: value.trim() !== "" && isFinite(value) ? Number(value) : value });
+  }
+  
+  // Open the selected project's fields for editing in the info panel
+  function openEditForm(node) {
+    const project = ui.editor.record(node.id);
+    if (!project) return;
+    
+    ui.infoPanel.panel.classList.add('editing');
+    ui.infoPanel.editForm.hidden = false;
+    renderProjectForm(ui.infoPanel.editForm, project, {
+      onSave: changes => {
+        if (ui.editor.apply({ type: "project", id: node.id, changes })) closeEditForm();
+      },
+      onCancel: closeEditForm
+    });
+  }
+  
+  function closeEditForm() {
+    ui.infoPanel.panel.classList.remove('editing');
+    ui.infoPanel.editForm.hidden = true;
+    ui.infoPanel.editForm.innerHTML = '';
+  }
+  
+  // Handle node click
+  function handleNodeClick(event, node) {
+    if (event) event.stopPropagation();
+    if (state.isRecording) return; // Pausing would stop the playback being recorded
+    
+    // Pause any ongoing animation
+    pauseAnimation();
+
+    if (!state.isNodeVisible(node)) return;
+    
+    if (state.selectedNode === node) {
+      // Deselect if clicking the same node
+      state.selectedNode = null;
+      
+      // Reset the node and its lineage
+      clearLineage();
+      hideInfoPanel();
+      events.call("select", null, null);
+    } else {
+      // If another node is selected, reset it and its lineage
+      if (state.selectedNode) {
+        clearLineage();
+      }
+      
+      // Select the clicked node and trace its lineage
+      state.selectedNode = node;
+      traceSelection(node);
+      highlightNode(node);
+      
+      // Wait for the gradient animation to finish, then animate links
+      replayLineage(duration + 1);
+      
+      // Show info panel
+      showInfoPanel(node);
+      events.call("select", null, node);
+    }
+  }
+  
+  // Select a node by id as if it had been clicked, or clear the selection when the id is
+  // null or unknown
+  function selectNode(id) {
+    const node = id == null ? null : graph.nodes.find(n => String(n.id) === String(id)) || null;
+    if (node === state.selectedNode) return;
+    
+    // Clicking the selected node again is what deselects it
+    handleNodeClick(null, node || state.selectedNode);
+  }
+  
+  // Handle node mouse over
+  function handleNodeMouseOver(event, node) {
+    if (!state.isNodeVisible(node) || state.selectedNode || state.highlightedPerson !== null) return;
+    
+    highlightNode(node);
+  }
+  
+  // Handle node mouse out
+  function handleNodeMouseOut(event, node) {
+    // While a node is selected or a person highlighted, hovering doesn't highlight anything
+    // (and mustn't undo the lineage or the person's projects)
+    if (!state.isNodeVisible(node) || state.selectedNode || state.highlightedPerson !== null) return;
+    
+    resetNode(node);
+  }
+  
+  // Filter functions. Facets apply as soon as they change in the filter panel.
+  function applyFilter() {
+    state.filters = readFilters();
     state.updateVisibleNodes();
+    updateFilterCounts();
+    
+    // The animation schedule only covers the projects that were visible
+    resetPlayer();
     
     // Update node visibility
     nodes
@@ -927,14 +2612,19 @@ function animateTimelineSequentially(graph, view, state) {
       .attr("opacity", d => state.isNodeVisible(d) ? 0.9 : 0.2)
       .attr("stroke-width", d => state.isNodeVisible(d) ? 1 : 0.5);
     
+    view.selectAll("g.node-marks")
+      .transition()
+      .duration(200)
+      .attr("opacity", d => state.isNodeVisible(d) ? 1 : 0.2);
+    
     // Also update labels
-    d3.selectAll("text.node-label")
+    view.selectAll("text.node-label")
       .transition()
       .duration(200)
       .attr("opacity", d => state.isNodeVisible(d) ? 1 : 0.2);
     
     // And connector lines
-    d3.selectAll("line.node-label-connector")
+    view.selectAll("line.node-label-connector")
       .transition()
       .duration(200)
       .attr("opacity", d => state.isNodeVisible(d) ? 1 : 0.2);
@@ -948,22 +2638,31 @@ function animateTimelineSequentially(graph, view, state) {
           state.isNodeVisible(d.source) && state.isNodeVisible(d.target) ? 0.04 : 0.01);
     }
     
-    // If selected node is no longer visible, deselect it
+    // If selected node is no longer visible, deselect it; otherwise trace its lineage
+    // again through the projects that are still visible
     if (state.selectedNode && !state.isNodeVisible(state.selectedNode)) {
-      resetNode(state.selectedNode);
-      resetLinks();
+      clearLineage();
       hideInfoPanel();
       state.selectedNode = null;
+      events.call("select", null, null);
+    } else if (state.selectedNode) {
+      retraceSelection();
     }
+    
+    updateTabStop();
+    drawDataTable();
+    drawScheduleAnalysis();
+    events.call("filter", null, state.filters.skills.slice(), { ...state.filters });
   }
   
   function clearFilter() {
-    // Uncheck all checkboxes
-    document.querySelectorAll('#skills-filter-container input[type="checkbox"]')
-      .forEach(checkbox => checkbox.checked = false);
+    // Clear every facet in the panel
+    writeFilters(createFilters());
     
-    state.filteredSkills = [];
+    state.filters = createFilters();
     state.updateVisibleNodes();
+    updateFilterCounts();
+    resetPlayer();
     
     // Reset all nodes
     resetAllNodes();
@@ -975,37 +2674,1014 @@ function animateTimelineSequentially(graph, view, state) {
         .duration(200)
         .attr("stroke-opacity", 0.04);
     }
+    
+    updateTabStop();
+    drawDataTable();
+    drawScheduleAnalysis();
+    events.call("filter", null, [], createFilters());
+  }
+  
+  // Read the facets picked in the filter panel
+  function readFilters() {
+    const parseDate = d3.timeParse("%Y-%m-%d");
+    const checked = container => Array.from(container.querySelectorAll('input[type="checkbox"]:checked'))
+      .map(checkbox => checkbox.value);
+    
+    return createFilters({
+      skills: checked(controls.skillsContainer),
+      skillMatch: controls.skillMatchSelect.value,
+      categories: checked(controls.categoriesContainer),
+      phases: checked(controls.phasesContainer),
+      people: checked(controls.peopleContainer),
+      from: controls.fromInput.value ? parseDate(controls.fromInput.value) : null,
+      to: controls.toInput.value ? parseDate(controls.toInput.value) : null,
+      ongoingOnly: controls.ongoingToggle.checked,
+      search: controls.searchInput.value
+    });
+  }
+  
+  // Set the filter panel to show the given filters (dates may be Dates or YYYY-MM-DD strings)
+  function writeFilters(filters) {
+    const formatDate = d3.timeFormat("%Y-%m-%d");
+    const check = (container, values) => container.querySelectorAll('input[type="checkbox"]')
+      .forEach(checkbox => checkbox.checked = values.includes(checkbox.value));
+    const dateValue = date => date instanceof Date ? formatDate(date) : (date || '');
+    
+    check(controls.skillsContainer, filters.skills);
+    check(controls.categoriesContainer, filters.categories);
+    check(controls.phasesContainer, filters.phases);
+    check(controls.peopleContainer, filters.people || []);
+    controls.skillMatchSelect.value = filters.skillMatch === "all" ? "all" : "any";
+    controls.fromInput.value = dateValue(filters.from);
+    controls.toInput.value = dateValue(filters.to);
+    controls.ongoingToggle.checked = !!filters.ongoingOnly;
+    controls.searchInput.value = filters.search || '';
+  }
+  
+  // Fill the checkbox facets with the values found in the data
+  function populateFilterPanel() {
+    const options = facetOptions(graph.nodes);
+    populateFacetOptions(controls.skillsContainer, options.skills);
+    populateFacetOptions(controls.categoriesContainer, options.categories);
+    populateFacetOptions(controls.phasesContainer, options.phases);
+    populateFacetOptions(controls.peopleContainer, options.people, personName);
+    controls.peopleFacet.hidden = options.people.length === 0;
+  }
+  
+  // Name of a person, from their id
+  function personName(id) {
+    const person = graph.people.find(p => p.id === id);
+    return person ? person.name : id;
+  }
+  
+  // Show how many projects each facet would match, and how many are showing overall
+  function updateFilterCounts() {
+    const counts = facetCounts(graph.nodes, state.filters);
+    
+    [
+      [controls.skillsContainer, counts.skills],
+      [controls.categoriesContainer, counts.categories],
+      [controls.phasesContainer, counts.phases],
+      [controls.peopleContainer, counts.people]
+    ].forEach(([container, valueCounts]) => {
+      container.querySelectorAll('label').forEach(label => {
+        const count = valueCounts.get(label.querySelector('input').value) || 0;
+        label.querySelector('.facet-count').textContent = `(${count})`;
+        label.classList.toggle('no-matches', count === 0);
+      });
+    });
+    
+    controls.searchCount.textContent = state.filters.search.trim() !== '' ? `${counts.search} matching` : '';
+    controls.dateCount.textContent = `(${counts.dates})`;
+    controls.ongoingCount.textContent = `(${counts.ongoing})`;
+    controls.filterSummary.textContent = `Showing ${counts.total} of ${graph.nodes.length} projects`;
+  }
+  
+  // Show the filter panel set to the given facets (see createFilters) and apply them
+  function setFilters(filters) {
+    writeFilters(createFilters(filters));
+    
+    if (isFiltering(readFilters())) {
+      applyFilter();
+    } else {
+      clearFilter();
+    }
+  }
+  
+  // A node's assignees, e.g. "Ana (50%), Ben (100%)"
+  function describeTeam(node) {
+    return node.assignees.map(({ name, allocation }) => `${name} (${allocation}%)`).join(", ");
+  }
+  
+  // Touch screens: holding a finger on a bar shows its hover text in a tooltip above the finger.
+  // Lifting the finger after that doesn't count as a tap, so it doesn't select the project.
+  let longPress = null;
+  
+  function startLongPress(event, d) {
+    cancelLongPress();
+    if (event.touches.length !== 1) return;
+    
+    const { clientX, clientY } = event.touches[0];
+    longPress = {
+      x: clientX,
+      y: clientY,
+      timer: setTimeout(() => showTouchTooltip(d, clientX, clientY), longPressDelay)
+    };
+  }
+  
+  function cancelLongPress() {
+    if (longPress) clearTimeout(longPress.timer);
+    longPress = null;
+  }
+  
+  function showTouchTooltip(d, x, y) {
+    const tooltip = ui.touchTooltip;
+    tooltip.textContent = nodeTitle(d);
+    tooltip.style.left = `${x}px`;
+    tooltip.style.top = `${y}px`;
+    tooltip.hidden = false;
+  }
+  
+  function hideTouchTooltip() {
+    ui.touchTooltip.hidden = true;
+  }
+  
+  // Pinching with two fingers zooms the time axis around the point between them, and moving
+  // them pans it; one finger is left to scroll the page. pinch holds the zoom transform and the
+  // fingers' distance and midpoint when the second finger came down.
+  let pinch = null;
+  
+  function touchPoints(event) {
+    return Array.from(event.touches, touch => d3.pointer(touch, svg.node()));
+  }
+  
+  function startPinch(event) {
+    if (event.touches.length !== 2 || state.isRecording) return;
+    cancelLongPress();
+    const [a, b] = touchPoints(event);
+    pinch = {
+      transform: d3.zoomTransform(svg.node()),
+      distance: Math.max(1, Math.hypot(a[0] - b[0], a[1] - b[1])),
+      x: (a[0] + b[0]) / 2
+    };
+  }
+  
+  function movePinch(event) {
+    if (!pinch || event.touches.length !== 2) return;
+    event.preventDefault(); // Don't let the browser zoom the page as well
+    
+    const [a, b] = touchPoints(event);
+    const [minScale, maxScale] = zoom.scaleExtent();
+    const k = Math.max(minScale, Math.min(maxScale,
+      pinch.transform.k * Math.hypot(a[0] - b[0], a[1] - b[1]) / pinch.distance));
+    
+    // Keep the point that was between the fingers between them
+    const x = (a[0] + b[0]) / 2;
+    const t = d3.zoomIdentity.translate(x - pinch.transform.invertX(pinch.x) * k, 0).scale(k);
+    svg.call(zoom.transform, zoom.constrain()(t, zoom.extent().call(svg.node()), zoom.translateExtent()));
+  }
+  
+  function endPinch(event) {
+    if (event.touches.length < 2) pinch = null;
+  }
+  
+  // Hover text for a node
+  function nodeTitle(d) {
+    const dateFormat = d3.timeFormat("%b %d, %Y");
+    return `${d.name}\nDuration: ${d.duration}${d.hasDefinedEndDate ? "" : " so far"}` +
+      (d.durationMismatch ? `\n⚠ Duration ${d.durationMismatch}` : "") +
+      `\nCategory: ${d.category}\n${dateFormat(d.startDate)} - ${describeEnd(d, dateFormat)}` +
+      (d.assignees.length > 0 ? `\nTeam: ${describeTeam(d)}` : "");
+  }
+  
+  // Re-measure every node's duration in a different unit
+  function setDurationUnit(unit) {
+    graph.durationUnit = unit;
+    graph.nodes.forEach(node => applyDuration(d3, node, unit));
+    nodes.select("title").text(nodeTitle);
+    drawDataTable();
+    
+    if (state.selectedNode) {
+      showInfoPanel(state.selectedNode);
+    }
+  }
+  
+  // Export the current view, keeping filters, highlights and zoom, with a title and legend
+  function exportCurrentView(format, scale) {
+    return exportView(d3, svg.node(), format, { ...exportOptions(), scale });
+  }
+  
+  // Title, details line, legend and crop height for exports and recordings
+  function exportOptions() {
+    const dateFormat = d3.timeFormat("%b %d, %Y");
+    const [start, end] = xScale.domain();
+    const details = [`${dateFormat(start)} – ${dateFormat(end)}`];
+    
+    details.push(...describeFilters(state.filters, dateFormat, personName));
+    if (state.selectedNode) {
+      details.push(`Selected: ${state.selectedNode.name}`);
+    }
+    
+    return {
+      title: ui.title,
+      details,
+      legendItems: exportLegendItems(),
+      background: theme.background,
+      textColor: theme.text,
+      // Keep the chart and axis labels, but not the overview strip below them
+      height: margin.top + overviewY() - 10
+    };
+  }
+  
+  // Legend entries describing what the exported chart shows
+  function exportLegendItems() {
+    const items = [
+      { type: "swatch", color: "#bbb", label: "Project (bar runs from start to end date)" },
+      // What the project colors stand for, unless each project has its own
+      ...graph.colorLegend.map(({ label, color }) => ({ type: "swatch", color, label })),
+      // Link widths at a few sample values, then the dashes of each connection type
+      ...legendValues(graph.links).map(value => ({
+        type: "line", color: "#bbb", width: graph.links.find(link => +link.value === value).width,
+        label: `${ui.valueLabel}: ${value}`
+      })),
+      ...Array.from(graph.linkDashes, ([type, dash]) => ({ type: "line", color: "#bbb", width: 2, dash, label: type }))
+    ];
+    
+    items.push({ type: "line", color: "#d62728", width: 1, dash: "4,3", label: todayLabel() });
+    if (graph.nodes.some(node => node.plannedEndDate && node.plannedEndDate > node.endDate)) {
+      items.push({ type: "swatch", color: "#bbb", opacity: 0.3, stroke: "#999", label: "Time left until an ongoing project's planned end" });
+    }
+    if (graph.nodes.some(node => node.overdue)) {
+      items.push({ type: "line", color: "#d62728", width: 3, label: "Overdue: still running past its planned end" });
+    }
+    if (controls.scheduleToggle.checked) {
+      items.push({ type: "line", color: "#ff7f0e", width: 3, label: "Critical path: the longest chain of connected projects" });
+      items.push({ type: "line", color: "#d62728", width: 2, dash: "5,3", label: "Overlap: started before the project it depends on ended (lag in days)" });
+    }
+    if (graph.people.length > 0) {
+      items.push({ type: "swatch", color: "#d62728", opacity: 0.15, label: "Team load: week where someone is over 100% allocated" });
+    }
+    if (isFiltering(state.filters)) {
+      items.push({ type: "swatch", color: "#bbb", opacity: 0.2, label: "Faded: doesn't match the filters" });
+    }
+    if (state.selectedNode) {
+      items.push({ type: "swatch", color: state.selectedNode.color, stroke: theme.text, label: `Highlighted: ${state.selectedNode.name} and its connections` });
+    }
+    
+    return items;
+  }
+  
+  // Height the SVG needs for the current layout, including the axis and overview strip
+  function contentHeight() {
+    return Math.max(height, margin.top + overviewY() + overviewHeight + margin.bottom);
+  }
+  
+  // Draw a band and header for each swim lane (nothing is drawn in stacked mode)
+  function drawLanes(transitionDuration = 0) {
+    const innerWidth = width - margin.left - margin.right;
+    
+    laneGroup.selectAll("g.lane")
+      .data(graph.lanes || [], d => d.key)
+      .join(
+        enter => {
+          const lane = enter.append("g")
+            .attr("class", "lane")
+            .attr("opacity", 0);
+          
+          lane.append("rect")
+            .attr("class", "lane-band")
+            .attr("x", -margin.left)
+            .attr("width", innerWidth + margin.left)
+            .attr("y", d => d.y0)
+            .attr("height", d => d.y1 - d.y0);
+          
+          lane.append("line")
+            .attr("class", "lane-separator")
+            .attr("x1", -margin.left)
+            .attr("x2", innerWidth)
+            .attr("y1", d => d.y0)
+            .attr("y2", d => d.y0)
+            .attr("stroke", theme.grid);
+          
+          lane.append("text")
+            .attr("class", "lane-header")
+            .attr("x", -margin.left + 5)
+            .attr("y", d => d.y0 + 12)
+            .attr("fill", theme.mutedText)
+            .attr("font-size", 11)
+            .attr("font-weight", "bold")
+            .attr("font-family", "Arial, sans-serif");
+          
+          return lane;
+        },
+        update => update,
+        exit => exit.transition().duration(transitionDuration).attr("opacity", 0).remove()
+      )
+      .call(lane => lane.select("text.lane-header").text(d => `${d.key} (${d.count})`))
+      .call(lane => lane.select("rect.lane-band").attr("fill", (d, i) => theme.laneBands[i % 2]))
+      .transition()
+      .duration(transitionDuration)
+      .attr("opacity", 1)
+      .call(lane => lane.select("rect.lane-band").attr("y", d => d.y0).attr("height", d => d.y1 - d.y0))
+      .call(lane => lane.select("line.lane-separator").attr("y1", d => d.y0).attr("y2", d => d.y0))
+      .call(lane => lane.select("text.lane-header").attr("y", d => d.y0 + 12));
+  }
+  
+  // Move nodes, labels, gradients, links and the axis to the current layout positions.
+  // A zero duration updates attributes directly, which keeps zooming and panning responsive.
+  function updatePositions(transitionDuration = 0) {
+    const move = selection => transitionDuration > 0
+      ? selection.transition("layout").duration(transitionDuration)
+      : selection;
+    
+    svg.attr("height", contentHeight());
+    background.attr("height", contentHeight());
+    
+    move(nodeGradients)
+      .attr("x1", d => d.x0)
+      .attr("x2", d => d.x1);
+    
+    move(nodes)
+      .attr("x", d => d.x0)
+      .attr("y", d => d.y0)
+      .attr("width", d => Math.max(5, d.x1 - d.x0))
+      .attr("height", d => Math.max(1, d.y1 - d.y0));
+    
+    positionLabels(move);
+    
+    move(markLayer.selectAll("line.phase-divider")).call(positionDividers);
+    move(markLayer.selectAll("rect.ongoing-tail, rect.planned-extension, rect.overdue-span")).call(positionStatus);
+    todayLine.select("text").text(todayLabel());
+    move(todayLine).call(positionTodayLine);
+    move(markLayer.selectAll("path.milestone")).call(positionMilestones);
+    move(markLayer.selectAll("rect.edit-handle")).call(positionEditHandles);
+    positionScheduleAnalysis(move);
+    
+    move(axisGroup)
+      .attr("transform", `translate(0, ${graph.finalY + 20})`);
+    drawAxis();
+    
+    updatePlayhead();
+    
+    move(overview)
+      .attr("transform", `translate(0, ${overviewY()})`);
+    move(utilization)
+      .attr("transform", `translate(0, ${graph.finalY + overviewOffset})`);
+    move(utilization.selectAll("g.utilization-week")).call(positionUtilizationWeeks);
+    move(overviewBars.selectAll("rect"))
+      .attr("y", overviewBarY);
+    
+    if (graph.links.length > 0) {
+      move(defs.selectAll("linearGradient.link-gradient"))
+        .attr("x1", d => d.source.x1)
+        .attr("y1", d => d.y0)
+        .attr("x2", d => d.target.x0)
+        .attr("y2", d => d.y1);
+      
+      move(view.selectAll("path.link"))
+        .attr("d", createLinkPath);
+      
+      if (transitionDuration > 0) {
+        move(gradientLinks)
+          .attr("d", createLinkPath)
+          .on("end", refreshDash);
+      } else {
+        gradientLinks
+          .attr("d", createLinkPath)
+          .each(refreshDash);
+      }
+    }
+  }
+  
+  // Recompute a gradient link's dash length after its path changed,
+  // keeping links that are currently revealed fully drawn
+  function refreshDash(link) {
+    const el = d3.select(this);
+    if (el.classed("cycle-link")) return; // Dashed the whole way, so the length doesn't matter
+    if (+el.attr("stroke-opacity") > 0) {
+      el.attr("stroke-dasharray", drawnDash(link, this.getTotalLength()))
+        .attr("stroke-dashoffset", 0);
+    } else {
+      setDash(link);
+    }
+  }
+  
+  // Re-run the layout in a different mode and move everything into place
+  function setLayoutMode(mode) {
+    layoutMode = mode;
+    relayout();
+    events.call("layout", null, mode);
   }
   
-  function getSelectedSkills() {
-    const checkboxes = document.querySelectorAll('#skills-filter-container input[type="checkbox"]:checked');
-    return Array.from(checkboxes).map(checkbox => checkbox.value);
+  // Re-run the layout with the current mode and node sizing and move everything into place
+  function relayout() {
+    // Rows are packed on the unzoomed scale so they stay put while zooming
+    createLayout(timeScale, height, margin, graph.nodes.length, layoutMode, controls.nodeSizingSelect.value)(graph);
+    applyTimeScale();
+    drawLanes(duration);
+    drawScheduleAnalysis(); // Link widths may have changed
+    updatePositions(duration);
   }
   
-  // Set up filter handlers
-const applyButton = document.getElementById('apply-filters');
-const clearButton = document.getElementById('clear-filters');
+  // Swap reloaded data into the chart. Projects are matched by id and links by source and
+  // target, so only what changed fades in, fades out or moves; the selected project, the skill
+  // filter and the zoom stay as they were. newHeight is the layout height for the new data.
+  function updateData(newGraph, newHeight) {
+    const selectedId = state.selectedNode ? state.selectedNode.id : null;
+    
+    // The animation schedule and the selection's link animation belong to the old data
+    resetPlayer();
+    resetLinks();
+    state.selectedNode = null;
+    
+    Object.assign(graph, newGraph);
+    height = newHeight;
+    fitZoomExtent();
+    
+    // Fit the base scale to the new date range, keeping the current zoom transform
+    timeScale.domain(createTimeScale(d3, graph, width, margin).domain());
+    setLinkWidths();
+    createLayout(timeScale, height, margin, graph.nodes.length, layoutMode, controls.nodeSizingSelect.value)(graph);
+    xScale = zoomedScale(d3.zoomTransform(svg.node()));
+    applyTimeScale();
+    
+    // Keep the filters, dropping checked values that are no longer in the data
+    populateFilterPanel();
+    writeFilters(state.filters);
+    state.filters = readFilters();
+    state.updateVisibleNodes();
+    updateFilterCounts();
+    
+    resetAllNodes();
+    joinGraph(duration);
+    drawLanes(duration);
+    drawOverview();
+    drawUtilization();
+    updatePositions(duration);
+    brushGroup.call(brush.move, xScale.domain().map(timeScale));
+    drawDataTable();
+    drawSkillView();
+    drawScheduleAnalysis();
+    
+    if (isFiltering(state.filters)) {
+      view.selectAll("path.link")
+        .attr("stroke-opacity", d =>
+          state.isNodeVisible(d.source) && state.isNodeVisible(d.target) ? 0.04 : 0.01);
+    }
+    
+    // Select the same project again, or clear the selection if it's gone or filtered out
+    const selected = graph.nodes.find(n => n.id === selectedId);
+    if (selected && state.isNodeVisible(selected)) {
+      state.selectedNode = selected;
+      traceSelection(selected);
+      highlightNode(selected);
+      showInfoPanel(selected);
+      
+      // Replay its lineage once everything has moved into place
+      replayLineage(duration * 2 + 1);
+    } else if (selectedId) {
+      hideInfoPanel();
+      events.call("select", null, null);
+    }
+  }
+  
+  // Redraw the time axis for the visible time range
+  function drawAxis() {
+    const ticks = timeTicksFor(d3, xScale);
+    
+    timeAxis
+      .scale(xScale)
+      .ticks(ticks.interval)
+      .tickFormat(ticks.format);
+    
+    axisGroup
+      .call(timeAxis)
+      .selectAll("text")
+      .style("text-anchor", "end")
+      .attr("dx", "-.8em")
+      .attr("dy", ".15em")
+      .attr("transform", "rotate(-45)");
+  }
+  
+  // Recompute horizontal node positions from the visible time scale
+  function applyTimeScale() {
+    graph.nodes.forEach(node => {
+      node.x0 = xScale(node.startDate);
+      node.x1 = xScale(node.endDate);
+    });
+  }
+  
+  // Vertical position of a node in the overview strip, mirroring the main layout
+  function overviewBarY(node) {
+    const top = d3.min(graph.nodes, d => d.y0);
+    const span = Math.max(1, graph.finalY - top);
+    return ((node.y0 - top) / span) * (overviewHeight - 2);
+  }
+  
+  // Draw a bar per project in the overview strip on the unzoomed time scale, with its axis.
+  // Vertical positions are left to updatePositions.
+  function drawOverview() {
+    overviewBars.selectAll("rect")
+      .data(graph.nodes, d => d.id)
+      .join(enter => enter.append("rect")
+        .attr("y", overviewBarY)
+        .attr("height", 2))
+      .attr("x", d => timeScale(d.startDate))
+      .attr("width", d => Math.max(1, timeScale(d.endDate) - timeScale(d.startDate)))
+      .attr("fill", d => d.color);
+    
+    overviewAxis.call(d3.axisBottom(timeScale).ticks(Math.max(2, Math.floor(innerWidth / 90))));
+  }
+  
+  // Draw the team's load week by week over the whole date range, a bar segment per person.
+  // Weeks where anyone is over 100% allocated get a red band behind them.
+  function drawUtilization() {
+    const hasPeople = graph.people.length > 0;
+    utilization.style("display", hasPeople ? null : "none");
+    
+    const weeks = hasPeople ? weeklyLoad(d3, graph.nodes, ...timeScale.domain()) : [];
+    const personById = new Map(graph.people.map(person => [person.id, person]));
+    utilizationY
+      .domain([0, Math.max(100, d3.max(weeks, week => week.total) || 0)])
+      .range([utilizationHeight(), 0])
+      .nice();
+    
+    const weekGroups = utilization.select("g.utilization-weeks")
+      .selectAll("g.utilization-week")
+      .data(weeks, week => +week.start)
+      .join(enter => enter.append("g")
+        .attr("class", "utilization-week")
+        .call(g => g.append("rect").attr("class", "overload-band").attr("fill", "#d62728").attr("opacity", 0.15))
+        .call(g => g.append("title")));
+    
+    weekGroups.select("rect.overload-band")
+      .attr("y", 0)
+      .attr("height", utilizationHeight())
+      .style("display", week => week.overloaded.length > 0 ? null : "none");
+    
+    weekGroups.select("title")
+      .text(week => describeWeek(week, personById));
+    
+    // Stack the week's loads in the order people are listed
+    weekGroups.selectAll("rect.utilization-segment")
+      .data(week => {
+        let y = 0;
+        return graph.people
+          .filter(person => week.loads.has(person.id))
+          .map(person => {
+            const segment = { person, start: week.start, end: week.end, y0: y, y1: y + week.loads.get(person.id) };
+            y = segment.y1;
+            return segment;
+          });
+      }, segment => segment.person.id)
+      .join("rect")
+      .attr("class", "utilization-segment")
+      .attr("y", segment => utilizationY(segment.y1))
+      .attr("height", segment => utilizationY(segment.y0) - utilizationY(segment.y1))
+      .attr("fill", segment => segment.person.color);
+    
+    weekGroups.call(positionUtilizationWeeks);
+    
+    utilization.select("line.utilization-limit")
+      .attr("y1", utilizationY(100))
+      .attr("y2", utilizationY(100));
+    
+    utilization.select("g.utilization-axis")
+      .call(d3.axisLeft(utilizationY).ticks(3).tickFormat(d => `${d}%`));
+    
+    // Clicking a person in the legend highlights their projects
+    utilization.select("g.utilization-legend")
+      .selectAll("g.utilization-person")
+      .data(graph.people, person => person.id)
+      .join(enter => enter.append("g")
+        .attr("class", "utilization-person")
+        .style("cursor", "pointer")
+        .call(g => g.append("rect").attr("width", 10).attr("height", 10).attr("y", -9))
+        .call(g => g.append("text").attr("x", 14).attr("font-size", 11).attr("font-family", "Arial, sans-serif"))
+        .on("click", (event, person) => highlightPerson(person.id)))
+      .attr("transform", (person, i) => `translate(0, ${10 + i * 14})`)
+      .call(g => g.select("rect").attr("fill", person => person.color))
+      .call(g => g.select("text").text(person => person.name));
+    
+    styleUtilization();
+  }
+  
+  // Place the utilization bars on the visible time scale
+  function positionUtilizationWeeks(selection) {
+    selection.selectAll("rect")
+      .attr("x", d => xScale(d.start))
+      .attr("width", d => Math.max(0.5, xScale(d.end) - xScale(d.start) - 1));
+  }
+  
+  // Hover text for a week of the utilization histogram
+  function describeWeek(week, personById) {
+    const lines = Array.from(week.loads, ([id, load]) =>
+      `${personById.get(id).name}: ${Math.round(load)}%${week.overloaded.includes(id) ? " (over)" : ""}`);
+    return `Week of ${ariaDateFormat(week.start)}\n${lines.join("\n") || "No one assigned"}`;
+  }
+  
+  // Emphasize the highlighted person's bar segments and legend entry, if anyone is highlighted
+  function styleUtilization() {
+    const person = state.highlightedPerson;
+    const dimmed = id => person !== null && id !== person;
+    
+    utilization.selectAll("rect.utilization-segment")
+      .attr("opacity", segment => dimmed(segment.person.id) ? 0.25 : 0.85);
+    utilization.selectAll("g.utilization-person")
+      .attr("opacity", p => dimmed(p.id) ? 0.5 : 1)
+      .attr("font-weight", p => p.id === person ? "bold" : null);
+  }
+  
+  // Highlight the projects a person is assigned to and dim the rest, or clear the highlight
+  // when they're already highlighted. Selecting a project clears it.
+  function highlightPerson(id) {
+    if (state.selectedNode) clearSelection();
+    const person = state.highlightedPerson === id ? null : id;
+    resetAllNodes();
+    if (person === null) return;
+    
+    state.highlightedPerson = person;
+    styleUtilization();
+    const assigned = d => state.isNodeVisible(d) && d.assignees.some(a => a.id === person);
+    
+    nodes
+      .transition()
+      .duration(200)
+      .attr("opacity", d => assigned(d) ? 0.9 : 0.2)
+      .attr("stroke-width", d => assigned(d) ? 2 : 1);
+    
+    view.selectAll("text.node-label")
+      .transition()
+      .duration(200)
+      .attr("font-weight", d => assigned(d) ? "bold" : "normal")
+      .attr("opacity", d => assigned(d) ? 1 : 0.2);
+    
+    view.selectAll("g.node-marks")
+      .transition()
+      .duration(200)
+      .attr("opacity", d => assigned(d) ? 1 : 0.2);
+  }
+  
+  // Handle zoom and pan: rescale the time axis and move everything horizontally
+  function zoomed(event) {
+    xScale = zoomedScale(event.transform);
+    
+    applyTimeScale();
+    updatePositions(0);
+    
+    // Keep the overview brush in sync unless the brush is what moved
+    if (!brushing) {
+      brushGroup.call(brush.move, xScale.domain().map(timeScale));
+    }
+    
+    events.call("zoom", null, xScale.domain());
+  }
+  
+  // Keep zooming and panning within the plot area, which grows and shrinks with the data
+  function fitZoomExtent() {
+    const area = [[margin.left, 0], [margin.left + innerWidth, height]];
+    zoom.extent(area).translateExtent(area);
+  }
+  
+  // The visible time scale for a zoom transform. The transform is in SVG coordinates; shift it
+  // into the view's coordinates (which start at margin.left) before rescaling the base time scale.
+  function zoomedScale(t) {
+    return d3.zoomIdentity
+      .translate(t.x + (t.k - 1) * margin.left, 0)
+      .scale(t.k)
+      .rescaleX(timeScale);
+  }
+  
+  // Handle brushing in the overview strip: zoom the main chart to the brushed window
+  function brushed(event) {
+    if (!event.sourceEvent || state.isRecording) return; // Ignore brush moves made by zoomed()
+    
+    const [s0, s1] = event.selection || timeScale.range();
+    const k = innerWidth / Math.max(1, s1 - s0);
+    
+    brushing = true;
+    svg.call(zoom.transform, d3.zoomIdentity
+      .translate(-k * s0 - (k - 1) * margin.left, 0)
+      .scale(k));
+    brushing = false;
+    
+    // A click without a drag clears the brush, so show the full range again
+    if (!event.selection && event.type === "end") {
+      brushGroup.call(brush.move, timeScale.range());
+    }
+  }
+  
+  // Zoom the chart to a date range, or back out to the full range without arguments
+  function zoomToRange(start, end) {
+    if (state.isRecording) return;
+    const [s0, s1] = start && end ? [timeScale(start), timeScale(end)] : timeScale.range();
+    const k = innerWidth / Math.max(1, s1 - s0);
+    
+    svg.transition()
+      .duration(duration)
+      .call(zoom.transform, d3.zoomIdentity
+        .translate(-k * s0 - (k - 1) * margin.left, 0)
+        .scale(k));
+  }
+  
+  // The view as it can be shared in a link: { selected (id or null), filters, zoom ([start, end]
+  // on screen, or null at the full range) and layout }
+  function viewState() {
+    return {
+      selected: state.selectedNode ? state.selectedNode.id : null,
+      filters: { ...state.filters },
+      zoom: d3.zoomTransform(svg.node()).k > 1 ? xScale.domain() : null,
+      layout: layoutMode
+    };
+  }
+  
+  // Go to a view from viewState(), changing only what differs from the current one
+  function applyViewState(view) {
+    const current = viewState();
+    const formatDate = d3.timeFormat("%Y-%m-%d");
+    const zoomKey = zoom => zoom ? zoom.map(date => formatDate(d3.timeDay.round(date))).join("_") : "";
+    
+    // The view can come from the URL hash, so only a layout the control panel offers is used
+    const layouts = Array.from(controls.layoutSelect.options, option => option.value);
+    if (view.layout && view.layout !== layoutMode && layouts.includes(view.layout)) {
+      controls.layoutSelect.value = view.layout;
+      setLayoutMode(view.layout);
+    }
+    if (encodeViewState({ filters: view.filters }, d3) !== encodeViewState({ filters: current.filters }, d3)) {
+      setFilters(view.filters);
+    }
+    if (zoomKey(view.zoom) !== zoomKey(current.zoom)) {
+      zoomToRange(...(view.zoom || []));
+    }
+    // Ids read from the hash are strings, so they're compared as strings
+    const idKey = id => id == null ? null : String(id);
+    if (idKey(view.selected) !== idKey(current.selected)) {
+      selectNode(view.selected);
+    }
+  }
+  
+  // Stop the animation and transitions, unhook the control panel and remove the SVG
+  function destroy() {
+    state.stopAnimation();
+    clearTimeout(state.lineageTimeout);
+    state.selectedNode = null;
+    svg.selectAll("*").interrupt();
+    listeners.abort();
+    cancelLongPress();
+    hideTouchTooltip();
+    hideInfoPanel();
+    ui.dataTable.innerHTML = '';
+    ui.skillView.innerHTML = '';
+    ui.scheduleReport.innerHTML = '';
+    svg.remove();
+  }
+  
+  // Set up control panel handlers; the signal removes them all when the chart is destroyed
+const { signal } = listeners;
 
-if (applyButton) {
-  applyButton.addEventListener('click', applyFilter);
-}
+controls.clearButton.addEventListener('click', clearFilter, { signal });
 
-if (clearButton) {
-  clearButton.addEventListener('click', clearFilter);
-}
+// Populate the filter panel; every facet applies as soon as it changes
+populateFilterPanel();
+updateFilterCounts();
 
-// Populate skills filter
-const uniqueSkills = extractUniqueSkills(graph.nodes);
-populateSkillsFilter(uniqueSkills);
+[controls.skillsContainer, controls.categoriesContainer, controls.phasesContainer, controls.peopleContainer,
+  controls.skillMatchSelect, controls.fromInput, controls.toInput, controls.ongoingToggle]
+  .forEach(element => element.addEventListener('change', applyFilter, { signal }));
+controls.searchInput.addEventListener('input', applyFilter, { signal });
 
-// Add this code for the animation button
-// Set up animation button handler
-const animateButton = document.getElementById('animate-timeline');
-if (animateButton) {
-  animateButton.addEventListener('click', () => {
-    animateTimelineSequentially(graph, view, state);
+// Add the animation playhead: a vertical line at the current animation date with a
+// handle on the time axis that can be dragged to scrub through the animation
+const playhead = view.append("g")
+  .attr("class", "playhead")
+  .style("display", "none");
+
+playhead.append("line")
+  .attr("y1", -4)
+  .attr("stroke", "#e2574c")
+  .attr("stroke-width", 1.5)
+  .attr("stroke-dasharray", "4,3")
+  .attr("pointer-events", "none");
+
+playhead.append("text")
+  .attr("y", -8)
+  .attr("text-anchor", "middle")
+  .attr("fill", "#e2574c")
+  .attr("font-size", 11)
+  .attr("font-weight", "bold")
+  .attr("font-family", "Arial, sans-serif");
+
+playhead.append("path")
+  .attr("class", "playhead-handle")
+  .attr("d", d3.symbol(d3.symbolTriangle, 120)())
+  .attr("fill", "#e2574c")
+  .style("cursor", "ew-resize")
+  .call(d3.drag()
+    .on("start drag", event => {
+      const [x] = d3.pointer(event, view.node());
+      seekAnimation(scheduleTimeAt(state.animationSchedule, xScale.invert(x)));
+    }));
+
+// Add the team utilization histogram under the time axis: each person's weekly load,
+// stacked, with a legend of people to pick whose projects to highlight
+const utilizationY = d3.scaleLinear();
+
+const utilization = view.append("g")
+  .attr("class", "utilization")
+  .attr("transform", `translate(0, ${graph.finalY + overviewOffset})`);
+
+utilization.append("g")
+  .attr("class", "utilization-weeks")
+  .attr("clip-path", `url(#${domId("chart-clip")})`);
+
+utilization.append("line")
+  .attr("class", "utilization-limit")
+  .attr("x2", innerWidth)
+  .attr("stroke", "#d62728")
+  .attr("stroke-dasharray", "2,2");
+
+utilization.append("g")
+  .attr("class", "utilization-axis");
+
+utilization.append("text")
+  .attr("class", "utilization-title")
+  .attr("x", -45)
+  .attr("y", -6)
+  .attr("font-size", 11)
+  .attr("font-weight", "bold")
+  .attr("font-family", "Arial, sans-serif")
+  .text("Team load");
+
+utilization.append("g")
+  .attr("class", "utilization-legend")
+  .attr("transform", `translate(${innerWidth + 10}, 0)`);
+
+drawUtilization();
+
+// Add the overview strip under the time axis for picking a date window
+const overview = view.append("g")
+  .attr("class", "overview no-export") // Navigation only, left out of exports
+  .attr("transform", `translate(0, ${overviewY()})`);
+
+overview.append("rect")
+  .attr("class", "overview-frame")
+  .attr("width", innerWidth)
+  .attr("height", overviewHeight)
+  .attr("fill", theme.overview)
+  .attr("stroke", theme.grid);
+
+const overviewBars = overview.append("g")
+  .attr("class", "overview-bars");
+
+const overviewAxis = overview.append("g")
+  .attr("class", "time-axis overview-axis")
+  .attr("transform", `translate(0, ${overviewHeight})`);
+
+drawOverview();
+
+const brush = d3.brushX()
+  .extent([[0, 0], [innerWidth, overviewHeight]])
+  .filter(event => !state.isRecording && !event.ctrlKey && !event.button) // d3's default, off while recording
+  .on("brush end", brushed);
+
+const brushGroup = overview.append("g")
+  .attr("class", "overview-brush")
+  .call(brush);
+
+let brushing = false; // True while a brush gesture is driving the zoom
+
+// Horizontal zoom and pan on the whole SVG. Dragging pans; the wheel zooms only with
+// Ctrl/Cmd held (trackpad pinch sends that too) so it doesn't hijack page scrolling.
+const zoom = d3.zoom()
+  .scaleExtent([1, 50])
+  .filter(event => !state.isRecording && (event.type === "wheel"
+    ? event.ctrlKey || event.metaKey
+    : !event.type.startsWith("touch") && !event.ctrlKey && !event.button)) // Touch pinches instead
+  .on("zoom", zoomed);
+
+fitZoomExtent();
+
+svg.call(zoom)
+  .on("dblclick.zoom", null); // Keep double-click free for the nodes
+
+// Touch gestures (see startLongPress and startPinch); any touch hides the long-press tooltip
+svg
+  .on("touchstart.touch", event => {
+    hideTouchTooltip();
+    startPinch(event);
+  })
+  .on("touchmove.touch", event => {
+    const touch = event.touches[0];
+    if (longPress && Math.hypot(touch.clientX - longPress.x, touch.clientY - longPress.y) > 10) cancelLongPress();
+    movePinch(event);
+  }, { passive: false })
+  .on("touchend.touch touchcancel.touch", event => {
+    if (!ui.touchTooltip.hidden && event.type === "touchend") event.preventDefault(); // No tap after a long press
+    cancelLongPress();
+    endPinch(event);
   });
-}
 
-return svg.node();
+// Start with the brush covering the full range
+brushGroup.call(brush.move, timeScale.range());
+
+// Set up zoom reset button
+controls.resetZoomButton.addEventListener('click', () => zoomToRange(), { signal });
+
+// Set up duration unit selector
+const { durationUnitSelect } = controls;
+durationUnitSelect.value = graph.durationUnit;
+durationUnitSelect.addEventListener('change', () => setDurationUnit(durationUnitSelect.value), { signal });
+
+// Set up export button
+const { exportButton } = controls;
+exportButton.addEventListener('click', () => {
+  const format = controls.exportFormat.value;
+  const scale = +controls.exportScale.value || 2;
+  
+  exportButton.disabled = true;
+  exportCurrentView(format, scale)
+    .catch(error => {
+      console.error('Error exporting visualization:', error);
+      alert(`Export failed: ${error.message}`);
+    })
+    .finally(() => {
+      exportButton.disabled = false;
+    });
+}, { signal });
+
+// Set up player controls
+controls.stepBackButton.addEventListener('click', () => stepAnimation(-1), { signal });
+controls.stepForwardButton.addEventListener('click', () => stepAnimation(1), { signal });
+
+const { speedSelect, scrubber } = controls;
+state.animationSpeed = +speedSelect.value || 1;
+speedSelect.addEventListener('change', () => setAnimationSpeed(+speedSelect.value), { signal });
+
+scrubber.addEventListener('input', () => {
+  const schedule = ensureAnimationSchedule();
+  seekAnimation(+scrubber.value / +scrubber.max * schedule.duration);
+}, { signal });
+updatePlayerControls();
+
+// Set up record button
+const { recordButton } = controls;
+recordButton.addEventListener('click', () => {
+  const format = controls.recordFormat.value;
+  const fps = +controls.recordFps.value || 30;
+  const outputWidth = +controls.recordWidth.value || null;
+  const label = recordButton.textContent;
+  
+  recordButton.disabled = true;
+  recordTimelineAnimation(format, fps, outputWidth, progress => {
+    recordButton.textContent = `Recording ${Math.round(progress * 100)}%`;
+  })
+    .catch(error => {
+      console.error('Error recording animation:', error);
+      alert(`Recording failed: ${error.message}`);
+    })
+    .finally(() => {
+      recordButton.disabled = false;
+      recordButton.textContent = label;
+    });
+}, { signal });
+
+// Set up link width controls
+[controls.linkScaleSelect, controls.linkMinInput, controls.linkMaxInput]
+  .forEach(element => element.addEventListener('change', updateLinkWidths, { signal }));
+controls.nodeSizingSelect.addEventListener('change', relayout, { signal });
+
+// Set up lineage tracing controls; a change traces the selected node again
+[controls.lineageDirection, controls.lineageDepth].forEach(element => element.addEventListener('change', () => {
+  if (state.selectedNode) retraceSelection();
+}, { signal }));
+
+// Set up layout mode selector
+const { layoutSelect } = controls;
+layoutSelect.value = layoutMode;
+layoutSelect.addEventListener('change', () => setLayoutMode(layoutSelect.value), { signal });
+
+// Set up animation button handler
+controls.animateButton.addEventListener('click', togglePlayback, { signal });
+
+// Set up the table view toggle
+controls.tableToggle.addEventListener('change', () => setTableView(controls.tableToggle.checked), { signal });
+setTableView(controls.tableToggle.checked);
+
+controls.skillViewSelect.addEventListener('change', drawSkillView, { signal });
+drawSkillView();
+
+controls.scheduleToggle.addEventListener('change', drawScheduleAnalysis, { signal });
+drawScheduleAnalysis();
+
+// Edit mode: double-clicking the project details opens them for editing
+controls.editToggle.addEventListener('change', () => setEditMode(editing()), { signal });
+setEditMode(editing());
+ui.infoPanel.panel.addEventListener('dblclick', event => {
+  if (!editing() || !state.selectedNode || ui.infoPanel.editForm.contains(event.target)) return;
+  openEditForm(state.selectedNode);
+}, { signal });
+
+return { node: svg.node(), selectNode, setFilters, updateData, viewState, applyViewState, destroy };
 }
+
+export { createTimelineSankey, loadProjectData };
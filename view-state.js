@@ -0,0 +1,69 @@
+import { createFilters } from './project-filters.js';
+
+// The chart's view (selected project, filters, zoomed date range and layout mode) written to
+// and read from a URL hash, so a view can be shared as a link. Values that are at their
+// defaults are left out, e.g. "#project=project-3&skill=AI&layout=category".
+
+// Write a view { selected (project id or null), filters, zoom ([start, end] or null), layout }
+// as a hash, or "" for the default view
+function encodeViewState(view, d3) {
+  const formatDate = d3.timeFormat("%Y-%m-%d");
+  const { filters } = view;
+  const params = new URLSearchParams();
+
+  if (view.selected) params.set("project", view.selected);
+  if (filters.search.trim() !== "") params.set("q", filters.search.trim());
+  filters.skills.forEach(skill => params.append("skill", skill));
+  if (filters.skillMatch === "all") params.set("match", "all");
+  filters.categories.forEach(category => params.append("category", category));
+  filters.phases.forEach(phase => params.append("phase", phase));
+  filters.people.forEach(person => params.append("person", person));
+  if (filters.from) params.set("from", formatDate(filters.from));
+  if (filters.to) params.set("to", formatDate(filters.to));
+  if (filters.ongoingOnly) params.set("ongoing", "1");
+  if (view.zoom) params.set("zoom", view.zoom.map(date => formatDate(d3.timeDay.round(date))).join("_"));
+  if (view.layout && view.layout !== "stacked") params.set("layout", view.layout);
+
+  const hash = params.toString();
+  return hash === "" ? "" : `#${hash}`;
+}
+
+// Read a view back from a hash. Dates that don't parse are ignored.
+function decodeViewState(hash, d3) {
+  const parseDate = d3.timeParse("%Y-%m-%d");
+  const params = new URLSearchParams(hash.replace(/^#/, ""));
+  const date = name => params.get(name) ? parseDate(params.get(name)) : null;
+  const zoom = (params.get("zoom") || "").split("_").map(parseDate);
+
+  return {
+    selected: params.get("project"),
+    filters: createFilters({
+      skills: params.getAll("skill"),
+      skillMatch: params.get("match") === "all" ? "all" : "any",
+      categories: params.getAll("category"),
+      phases: params.getAll("phase"),
+      people: params.getAll("person"),
+      from: date("from"),
+      to: date("to"),
+      ongoingOnly: params.get("ongoing") === "1",
+      search: params.get("q") || ""
+    }),
+    zoom: zoom.length === 2 && zoom[0] && zoom[1] && zoom[0] < zoom[1] ? zoom : null,
+    layout: params.get("layout") || "stacked"
+  };
+}
+
+// True if two hashes differ only in the zoomed range or the search text. Those change
+// gradually (while dragging or typing), so they replace the current history entry rather
+// than adding one per step.
+function isGradualChange(fromHash, toHash) {
+  const strip = hash => {
+    const params = new URLSearchParams(hash.replace(/^#/, ""));
+    params.delete("zoom");
+    params.delete("q");
+    return params.toString();
+  };
+  return strip(fromHash) === strip(toHash);
+}
+
+export { encodeViewState, decodeViewState, isGradualChange };